@@ -1,56 +1,52 @@
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
-const bcrypt = require('bcryptjs');
 
 // Load env vars
 dotenv.config();
 
+const User = require('./src/models/User');
+
+// Usage: node createAdmin.js <email> <password> [name]
+// Falls back to ADMIN_EMAIL / ADMIN_PASSWORD from .env
+const [
+  email = process.env.ADMIN_EMAIL,
+  password = process.env.ADMIN_PASSWORD,
+  name = 'Admin'
+] = process.argv.slice(2);
+
+if (!email || !password) {
+  console.error('❌ Usage: node createAdmin.js <email> <password> [name]');
+  process.exit(1);
+}
+
 // Connect to MongoDB
-mongoose.connect(process.env.MONGODB_URI, {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
+mongoose.connect(process.env.MONGODB_URI)
 .then(async () => {
   console.log('✅ Connected to MongoDB');
   
-  // Define User schema inline since we don't have the model file yet
-  const userSchema = new mongoose.Schema({
-    name: String,
-    email: String,
-    password: String,
-    role: String,
-    createdAt: { type: Date, default: Date.now }
-  });
-  
-  const User = mongoose.model('User', userSchema);
-  
   // Check if admin already exists
-  const existingAdmin = await User.findOne({ email: 'admin@mindwell.com' });
+  const existingAdmin = await User.findOne({ email: email.toLowerCase() });
   
   if (existingAdmin) {
-    console.log('⚠️  Admin user already exists:', existingAdmin.email);
+    console.log('⚠️  User already exists:', existingAdmin.email);
     process.exit(0);
   }
   
-  // Hash password
-  const hashedPassword = await bcrypt.hash('admin123', 12);
-  
-  // Create admin user
+  // Password is hashed by the User model
   const admin = await User.create({
-    name: 'Admin',
-    email: 'admin@mindwell.com',
-    password: hashedPassword,
-    role: 'admin'
+    name,
+    email,
+    password,
+    role: 'owner'
   });
   
-  console.log('✅ Admin user created successfully!');
-  console.log('📧 Email: admin@mindwell.com');
-  console.log('🔑 Password: admin123');
-  console.log('👤 Role: admin');
+  console.log('✅ Owner account created successfully!');
+  console.log('📧 Email:', admin.email);
+  console.log('👤 Role:', admin.role);
   
   process.exit(0);
 })
 .catch(err => {
-  console.error('❌ Error:', err);
+  console.error('❌ Error:', err.message);
   process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+const { migrateLegacyPosts } = require('./src/utils/blogService');
+
+// Gives posts from before the publishing workflow a status and rendered
+// HTML. Run once after deploying the workflow; safe to run again.
+mongoose.connect(process.env.MONGODB_URI)
+.then(async () => {
+  console.log('✅ Connected to MongoDB');
+  
+  const { migrated, cleaned } = await migrateLegacyPosts();
+  console.log(`✅ Migrated ${migrated} blog post(s)`);
+  
+  if (cleaned.length > 0) {
+    console.log(`⚠️  Disallowed HTML was removed from: ${cleaned.join(', ')}`);
+  }
+  
+  process.exit(0);
+})
+.catch(err => {
+  console.error('❌ Error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+// Load env vars
+dotenv.config();
+
+const Service = require('./src/models/Service');
+
+// Adds any default service that is missing; bookings need at least one service
+mongoose.connect(process.env.MONGODB_URI)
+.then(async () => {
+  console.log('✅ Connected to MongoDB');
+  
+  const created = await Service.seedDefaults();
+  
+  if (created.length > 0) {
+    console.log(`✅ Created services: ${created.join(', ')}`);
+  } else {
+    console.log('⚠️  All default services already exist');
+  }
+  
+  process.exit(0);
+})
+.catch(err => {
+  console.error('❌ Error:', err);
+  process.exit(1);
+});
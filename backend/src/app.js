@@ -0,0 +1,80 @@
+const express = require('express');
+const cors = require('cors');
+const mongoose = require('mongoose');
+
+const errorHandler = require('./middleware/error');
+const { isEmailConfigured, getTransportName } = require('./utils/mailer');
+const { isSmsConfigured } = require('./utils/smsService');
+
+// ================= ROUTES =================
+const authRoutes = require('./routes/authRoutes');
+const appointmentRoutes = require('./routes/appointmentRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const serviceRoutes = require('./routes/serviceRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const blogRoutes = require('./routes/blogRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const cronRoutes = require('./routes/cronRoutes');
+const feedRoutes = require('./routes/feedRoutes');
+
+/**
+ * Build the Express app.
+ *
+ * Used by both the Vercel entry point (api/index.js) and the local
+ * server (src/server.js). Connecting to MongoDB is left to the caller.
+ */
+const createApp = () => {
+  const app = express();
+
+  // Behind Vercel's proxy; gives the real client IP in req.ip (audit log)
+  app.set('trust proxy', 1);
+
+  app.use(cors({
+    origin: process.env.FRONTEND_URL || '*',
+    credentials: true,
+  }));
+  app.use(express.json());
+
+  // ================= ROUTE MOUNTS =================
+  app.use('/api/auth', authRoutes);
+  app.use('/api/appointments', appointmentRoutes);
+  app.use('/api/calendar', calendarRoutes);
+  app.use('/api/payments', paymentRoutes);
+  app.use('/api/services', serviceRoutes);
+  app.use('/api/contact', contactRoutes);
+  app.use('/api/waitlist', waitlistRoutes);
+  app.use('/api/blogs', blogRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/cron', cronRoutes);
+  app.use('/', feedRoutes);
+
+  // ================= HEALTH CHECK =================
+  app.get('/api/health', (req, res) => {
+    res.json({
+      success: true,
+      message: 'MindWell Psychology API is running',
+      timestamp: new Date().toISOString(),
+      services: {
+        database: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
+        email: isEmailConfigured() ? `configured (${getTransportName()})` : 'not configured',
+        sms: isSmsConfigured() ? 'configured' : 'not configured',
+        calendar: 'active'
+      }
+    });
+  });
+
+  app.use('/api', (req, res) => {
+    res.status(404).json({
+      success: false,
+      error: 'Route not found'
+    });
+  });
+
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = createApp;
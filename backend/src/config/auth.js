@@ -0,0 +1,58 @@
+/**
+ * Auth configuration
+ *
+ * Shared by the auth controller and the protect middleware
+ * so tokens signed by one are accepted by the other.
+ */
+const DEV_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+
+// Never sign production tokens with the well-known development secret
+if (process.env.NODE_ENV === 'production' &&
+    (!process.env.JWT_SECRET || process.env.JWT_SECRET === DEV_JWT_SECRET)) {
+  throw new Error('JWT_SECRET must be set in production; refusing to start');
+}
+
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET not set, using the development secret');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || DEV_JWT_SECRET;
+
+// Access tokens are short-lived; sessions continue through refresh tokens.
+// JWT_EXPIRE set the lifetime of the old single long-lived token (often
+// days) and is deliberately not read here.
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+
+if (process.env.JWT_EXPIRE) {
+  console.warn('⚠️  JWT_EXPIRE is no longer used; set ACCESS_TOKEN_EXPIRE (default 15m) instead');
+}
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Failed logins allowed before the account is locked, and for how long
+const MAX_LOGIN_ATTEMPTS = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES) || 15;
+
+// Lifetime of an emailed password-reset link
+const RESET_TOKEN_MINUTES = parseInt(process.env.RESET_TOKEN_MINUTES) || 60;
+
+// Lifetime of a staff invitation link
+const INVITATION_DAYS = parseInt(process.env.INVITATION_DAYS) || 7;
+
+// Once enabled, staff must set up two-factor authentication before
+// they can use any admin route
+const REQUIRE_TWO_FACTOR = process.env.REQUIRE_TWO_FACTOR === 'true';
+
+// Time allowed between the password step and the code step of a login
+const TWO_FACTOR_CHALLENGE_EXPIRE = '5m';
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRE,
+  REFRESH_TOKEN_DAYS,
+  MAX_LOGIN_ATTEMPTS,
+  LOCK_MINUTES,
+  RESET_TOKEN_MINUTES,
+  INVITATION_DAYS,
+  REQUIRE_TWO_FACTOR,
+  TWO_FACTOR_CHALLENGE_EXPIRE
+};
@@ -0,0 +1,33 @@
+/**
+ * Clinic configuration
+ *
+ * Appointment times are stored as clinic wall-clock time ("HH:MM").
+ * UTC_OFFSET_MINUTES converts them to real instants (default: Pakistan, UTC+5).
+ */
+const UTC_OFFSET_MINUTES = process.env.CLINIC_UTC_OFFSET_MINUTES !== undefined
+  ? parseInt(process.env.CLINIC_UTC_OFFSET_MINUTES)
+  : 300;
+
+// Clients can no longer reschedule or cancel online this close to the session
+const CANCELLATION_CUTOFF_HOURS = process.env.CANCELLATION_CUTOFF_HOURS !== undefined
+  ? parseFloat(process.env.CANCELLATION_CUTOFF_HOURS)
+  : 24;
+
+// Base URL of the public website, used to build links in emails
+const FRONTEND_URL = (process.env.FRONTEND_URL && process.env.FRONTEND_URL !== '*')
+  ? process.env.FRONTEND_URL.replace(/\/$/, '')
+  : 'http://localhost:3000';
+
+// Currencies services can be priced in; bookings default to DEFAULT_CURRENCY
+const CURRENCIES = ['PKR', 'USD'];
+const DEFAULT_CURRENCY = CURRENCIES.includes(process.env.CLINIC_CURRENCY)
+  ? process.env.CLINIC_CURRENCY
+  : 'PKR';
+
+module.exports = {
+  UTC_OFFSET_MINUTES,
+  CANCELLATION_CUTOFF_HOURS,
+  FRONTEND_URL,
+  CURRENCIES,
+  DEFAULT_CURRENCY
+};
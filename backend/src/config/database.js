@@ -1,16 +1,25 @@
 const mongoose = require('mongoose');
 
+/**
+ * Connect to MongoDB once per process.
+ * Serverless invocations reuse the warm connection instead of reconnecting.
+ */
+let connection = null;
+
 const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+  if (!connection) {
+    connection = mongoose.connect(process.env.MONGODB_URI)
+      .then((conn) => {
+        console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
+        return conn;
+      })
+      .catch((error) => {
+        console.error(`❌ MongoDB Error: ${error.message}`);
+        connection = null;
+        throw error;
+      });
   }
+  return connection;
 };
 
 module.exports = connectDB;
\ No newline at end of file
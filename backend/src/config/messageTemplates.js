@@ -0,0 +1,301 @@
+/**
+ * Built-in message templates
+ *
+ * Each key is the notification type the code sends. Admins can edit the
+ * content (stored as MessageTemplate documents) but not add or remove keys.
+ * `sample` lists the variables the code provides, with example values
+ * used by the preview endpoint. Every template can also use the clinic
+ * settings: {{clinic.name}}, {{clinic.phone}}, {{clinic.email}},
+ * {{clinic.address}}, {{clinic.website}} and {{clinic.signature}}.
+ */
+
+const SIGNATURE = '<p>{{clinic.signature}}</p>';
+
+const CONTACT = `{{#if clinic.phone}}<p>📞 Phone: {{clinic.phone}}</p>{{/if}}
+{{#if clinic.email}}<p>✉️ Email: {{clinic.email}}</p>{{/if}}`;
+
+const MANAGE_LINKS = `{{#if links}}<p>Need to make a change?
+<a href="{{links.view}}">View</a> |
+<a href="{{links.reschedule}}">Reschedule</a> |
+<a href="{{links.cancel}}">Cancel</a> your appointment.</p>{{/if}}`;
+
+const SAMPLE_LINKS = {
+  view: 'https://example.com/appointments/manage?token=sample',
+  reschedule: 'https://example.com/appointments/manage?token=sample&action=reschedule',
+  cancel: 'https://example.com/appointments/manage?token=sample&action=cancel'
+};
+
+const SAMPLE_APPOINTMENT = {
+  clientName: 'Ayesha Khan',
+  clientEmail: 'ayesha@example.com',
+  clientPhone: '+92 300 1234567',
+  date: 'Mon Mar 02 2026',
+  time: '10:00'
+};
+
+const MESSAGE_TEMPLATES = {
+  appointment_client: {
+    description: 'Client: booking request received',
+    sample: { ...SAMPLE_APPOINTMENT, links: SAMPLE_LINKS },
+    subject: 'Appointment Received – {{clinic.name}}',
+    html: `<p>Dear {{clientName}}, your appointment was received.</p>
+<p><strong>Date:</strong> {{date}} at {{time}}</p>
+${MANAGE_LINKS}
+${SIGNATURE}`
+  },
+
+  appointment_admin: {
+    description: 'Admin: new booking',
+    sample: { ...SAMPLE_APPOINTMENT, fromWaitlist: false },
+    subject: 'New Appointment{{#if fromWaitlist}} (from waitlist){{/if}}',
+    html: `<p>New booking by <strong>{{clientName}}</strong>{{#if fromWaitlist}} from the waitlist{{/if}}</p>
+<p>{{date}} at {{time}}</p>
+<p><strong>Email:</strong> {{clientEmail}}</p>
+<p><strong>Phone:</strong> {{clientPhone}}</p>`
+  },
+
+  appointment_rescheduled_client: {
+    description: 'Client: appointment moved through the manage link',
+    sample: { ...SAMPLE_APPOINTMENT, links: SAMPLE_LINKS },
+    subject: 'Appointment Rescheduled – {{clinic.name}}',
+    html: `<p>Dear {{clientName}},</p>
+<p>Your appointment has been moved to <strong>{{date}} at {{time}}</strong>.</p>
+${MANAGE_LINKS}
+${SIGNATURE}`
+  },
+
+  appointment_rescheduled_admin: {
+    description: 'Admin: client rescheduled',
+    sample: { ...SAMPLE_APPOINTMENT, previous: 'Fri Feb 27 2026 at 15:00' },
+    subject: '🔁 Appointment Rescheduled by Client',
+    html: `<p><strong>{{clientName}}</strong> rescheduled their appointment.</p>
+<p><strong>From:</strong> {{previous}}</p>
+<p><strong>To:</strong> {{date}} at {{time}}</p>
+<p><strong>Email:</strong> {{clientEmail}}</p>
+<p><strong>Phone:</strong> {{clientPhone}}</p>`
+  },
+
+  appointment_cancelled_client: {
+    description: 'Client: appointment cancelled through the manage link',
+    sample: { ...SAMPLE_APPOINTMENT },
+    subject: 'Appointment Cancelled – {{clinic.name}}',
+    html: `<p>Dear {{clientName}},</p>
+<p>Your appointment on <strong>{{date}} at {{time}}</strong> has been cancelled.</p>
+<p>You are welcome to book a new appointment at any time.</p>
+${SIGNATURE}`,
+    sms: 'Hi {{clientName}}, your appointment on {{date}} has been cancelled.{{#if clinic.phone}} Call {{clinic.phone}} to reschedule.{{/if}} - {{clinic.name}}'
+  },
+
+  appointment_cancelled_admin: {
+    description: 'Admin: client cancelled',
+    sample: { ...SAMPLE_APPOINTMENT, paymentStatus: 'paid' },
+    subject: '❌ Appointment Cancelled by Client',
+    html: `<p><strong>{{clientName}}</strong> cancelled their appointment on {{date}} at {{time}}.</p>
+<p><strong>Email:</strong> {{clientEmail}}</p>
+<p><strong>Phone:</strong> {{clientPhone}}</p>
+<p><strong>Payment status:</strong> {{paymentStatus}}</p>`
+  },
+
+  appointment_reminder: {
+    description: 'Client: reminder 24 hours and 2 hours before the session',
+    sample: { ...SAMPLE_APPOINTMENT, when: 'on Mon Mar 02 2026', service: 'individual' },
+    subject: 'Reminder: Your appointment {{when}} at {{time}}',
+    html: `<p>Dear {{clientName}},</p>
+<p>This is a reminder of your appointment with {{clinic.name}}.</p>
+<p><strong>Date:</strong> {{date}}</p>
+<p><strong>Time:</strong> {{time}}</p>
+<p><strong>Service:</strong> {{service}}</p>
+{{#if clinic.address}}<p><strong>Address:</strong> {{clinic.address}}</p>{{/if}}
+<p>Please arrive 10 minutes before your scheduled time.</p>
+${SIGNATURE}`,
+    sms: 'Reminder: Your appointment with {{clinic.name}} is {{when}} at {{time}}.{{#if clinic.phone}} Call {{clinic.phone}} if you need to reschedule.{{/if}}'
+  },
+
+  payment_received_client: {
+    description: 'Client: payment receipt submitted',
+    sample: { ...SAMPLE_APPOINTMENT, amount: 'PKR 5000', transactionId: 'TX123456' },
+    subject: 'Payment Received – {{clinic.name}}',
+    html: `<p>Dear {{clientName}},</p>
+<p>Your payment receipt has been received successfully.</p>
+<p><strong>Amount:</strong> {{amount}}</p>
+<p><strong>Transaction ID:</strong> {{transactionId}}</p>
+<p>We will verify your payment shortly and confirm your appointment.</p>
+${SIGNATURE}`
+  },
+
+  payment_received_admin: {
+    description: 'Admin: payment receipt submitted',
+    sample: {
+      ...SAMPLE_APPOINTMENT,
+      amount: 'PKR 5000',
+      method: 'bank_transfer',
+      transactionId: 'TX123456',
+      receiptUrl: 'https://example.com/receipt.jpg'
+    },
+    subject: '💰 New Payment Receipt Submitted',
+    html: `<p><strong>New payment receipt submitted</strong></p>
+<p><strong>Client:</strong> {{clientName}}</p>
+<p><strong>Email:</strong> {{clientEmail}}</p>
+<p><strong>Phone:</strong> {{clientPhone}}</p>
+<p><strong>Amount:</strong> {{amount}}</p>
+<p><strong>Method:</strong> {{method}}</p>
+<p><strong>Transaction ID:</strong> {{transactionId}}</p>
+<p><strong>Appointment Date:</strong> {{date}} at {{time}}</p>
+<p><a href="{{receiptUrl}}" target="_blank">View Receipt</a></p>
+<p>Please verify this payment in the admin dashboard.</p>`
+  },
+
+  payment_verified_client: {
+    description: 'Client: payment verified, appointment confirmed',
+    sample: {
+      ...SAMPLE_APPOINTMENT,
+      amount: 'PKR 5000',
+      transactionId: 'TX123456',
+      verifiedBy: 'Dr. Sara',
+      notes: '',
+      links: SAMPLE_LINKS
+    },
+    subject: 'Payment Verified - Appointment Confirmed',
+    html: `<p>Dear {{clientName}},</p>
+<p>Your payment has been verified successfully!</p>
+<p><strong>Appointment Confirmed:</strong></p>
+<p><strong>Date:</strong> {{#if date}}{{date}}{{else}}To be scheduled{{/if}}</p>
+<p><strong>Time:</strong> {{#if time}}{{time}}{{else}}To be confirmed{{/if}}</p>
+<p><strong>Payment Details:</strong></p>
+<p><strong>Amount:</strong> {{amount}}</p>
+<p><strong>Transaction ID:</strong> {{transactionId}}</p>
+<p><strong>Verified by:</strong> {{verifiedBy}}</p>
+{{#if notes}}<p><strong>Notes:</strong> {{notes}}</p>{{/if}}
+<p>Your appointment is now confirmed. You will receive a reminder before your session.</p>
+${MANAGE_LINKS}
+${SIGNATURE}`,
+    sms: 'Hi {{clientName}}, your appointment is confirmed for {{date}} at {{time}}. Please arrive 10 mins early. - {{clinic.name}}'
+  },
+
+  payment_verified_admin: {
+    description: 'Admin: payment verified',
+    sample: {
+      ...SAMPLE_APPOINTMENT,
+      amount: 'PKR 5000',
+      method: 'bank_transfer',
+      transactionId: 'TX123456',
+      verifiedBy: 'Dr. Sara',
+      notes: '',
+      receiptUrl: 'https://example.com/receipt.jpg'
+    },
+    subject: '✅ Payment Verified Successfully',
+    html: `<p><strong>Payment verified successfully</strong></p>
+<p><strong>Client:</strong> {{clientName}}</p>
+<p><strong>Email:</strong> {{clientEmail}}</p>
+<p><strong>Phone:</strong> {{clientPhone}}</p>
+<p><strong>Amount:</strong> {{amount}}</p>
+<p><strong>Method:</strong> {{method}}</p>
+<p><strong>Transaction ID:</strong> {{transactionId}}</p>
+<p><strong>Appointment:</strong></p>
+<p>Date: {{#if date}}{{date}}{{else}}N/A{{/if}}</p>
+<p>Time: {{#if time}}{{time}}{{else}}N/A{{/if}}</p>
+<p><strong>Verified by:</strong> {{verifiedBy}}</p>
+<p><strong>Verification Notes:</strong> {{#if notes}}{{notes}}{{else}}None{{/if}}</p>
+<p><a href="{{receiptUrl}}" target="_blank">View Receipt</a></p>
+<p>Payment and appointment have been confirmed.</p>`
+  },
+
+  payment_rejected_client: {
+    description: 'Client: payment rejected, appointment cancelled',
+    sample: { ...SAMPLE_APPOINTMENT, amount: 'PKR 5000', transactionId: 'TX123456', reason: 'Amount not received' },
+    subject: 'Payment Verification Issue - {{clinic.name}}',
+    html: `<p>Dear {{clientName}},</p>
+<p>We encountered an issue with your payment verification.</p>
+<p><strong>Reason:</strong> {{reason}}</p>
+<p><strong>Payment Details:</strong></p>
+<p><strong>Amount:</strong> {{amount}}</p>
+<p><strong>Transaction ID:</strong> {{transactionId}}</p>
+<p><strong>Appointment Status:</strong> CANCELLED</p>
+<p>Please contact us to resolve this issue:</p>
+${CONTACT}
+<p>Your appointment has been cancelled. Please submit a new payment to reschedule.</p>
+${SIGNATURE}`
+  },
+
+  payment_rejected_admin: {
+    description: 'Admin: payment rejected',
+    sample: {
+      ...SAMPLE_APPOINTMENT,
+      amount: 'PKR 5000',
+      transactionId: 'TX123456',
+      reason: 'Amount not received',
+      receiptUrl: 'https://example.com/receipt.jpg'
+    },
+    subject: '⚠️ Payment Rejected',
+    html: `<p><strong>Payment rejected</strong></p>
+<p><strong>Client:</strong> {{clientName}}</p>
+<p><strong>Email:</strong> {{clientEmail}}</p>
+<p><strong>Phone:</strong> {{clientPhone}}</p>
+<p><strong>Amount:</strong> {{amount}}</p>
+<p><strong>Transaction ID:</strong> {{transactionId}}</p>
+<p><strong>Rejection Reason:</strong> {{reason}}</p>
+<p><strong>Appointment Action:</strong> CANCELLED</p>
+<p><a href="{{receiptUrl}}" target="_blank">View Receipt</a></p>
+<p><strong>Action Required:</strong> Follow up with client regarding the rejection.</p>`
+  },
+
+  contact_client: {
+    description: 'Client: contact form received',
+    sample: { name: 'Ayesha Khan', subject: 'Question about sessions' },
+    subject: 'Contact Received – {{clinic.name}}',
+    html: `<p>Dear {{name}},</p>
+<p>Thanks for contacting us. We have received your message{{#if subject}} about "{{subject}}"{{/if}} and will reply soon.</p>
+${CONTACT}
+${SIGNATURE}`
+  },
+
+  waitlist_joined_client: {
+    description: 'Client: added to the waitlist',
+    sample: { clientName: 'Ayesha Khan', service: 'Individual Session', startDate: 'Mon Mar 02 2026', endDate: 'Fri Mar 06 2026' },
+    subject: 'You are on the waitlist – {{clinic.name}}',
+    html: `<p>Dear {{clientName}},</p>
+<p>You have been added to our waitlist for {{service}} between {{startDate}} and {{endDate}}.</p>
+<p>We will email you as soon as a slot opens up.</p>
+${SIGNATURE}`
+  },
+
+  waitlist_offer: {
+    description: 'Client: a slot opened up for a waitlist entry',
+    sample: {
+      clientName: 'Ayesha Khan',
+      service: 'individual',
+      date: 'Mon Mar 02 2026',
+      time: '10:00',
+      expiresAt: 'Sun, 01 Mar 2026 12:00:00 GMT',
+      acceptUrl: 'https://example.com/waitlist/offer?token=sample&action=accept',
+      declineUrl: 'https://example.com/waitlist/offer?token=sample&action=decline'
+    },
+    subject: 'A slot has opened up – {{clinic.name}}',
+    html: `<p>Dear {{clientName}},</p>
+<p>Good news: a {{service}} appointment is now available on <strong>{{date}} at {{time}}</strong>.</p>
+<p>We are holding this slot for you until <strong>{{expiresAt}}</strong>.</p>
+<p><a href="{{acceptUrl}}">Book this slot</a> | <a href="{{declineUrl}}">No thanks</a></p>
+${SIGNATURE}`
+  },
+
+  password_reset: {
+    description: 'Staff: password reset link',
+    sample: { name: 'Dr. Sara', resetUrl: 'https://example.com/admin/reset-password?token=sample', minutes: 60 },
+    subject: 'Reset your password – {{clinic.name}}',
+    html: `<p>Dear {{name}},</p>
+<p>Use the link below to choose a new password. It expires in {{minutes}} minutes and can be used once.</p>
+<p><a href="{{resetUrl}}">Reset password</a></p>
+<p>If you did not ask for this, you can ignore this email.</p>`
+  },
+
+  staff_invitation: {
+    description: 'Staff: invitation to join the admin panel',
+    sample: { inviterName: 'Dr. Sara', roleLabel: 'a receptionist', acceptUrl: 'https://example.com/admin/accept-invite?token=sample', days: 7 },
+    subject: 'You have been invited to {{clinic.name}}',
+    html: `<p>{{inviterName}} has invited you to join the {{clinic.name}} admin panel as {{roleLabel}}.</p>
+<p><a href="{{acceptUrl}}">Accept invitation and set your password</a></p>
+<p>This link can be used once and expires in {{days}} days.</p>`
+  }
+};
+
+module.exports = MESSAGE_TEMPLATES;
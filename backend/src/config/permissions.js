@@ -0,0 +1,74 @@
+/**
+ * Staff roles and permissions
+ *
+ * Routes ask for a permission (requirePermission in middleware/auth.js)
+ * rather than a list of roles, so who-can-do-what lives in one place.
+ */
+const ROLES = ['owner', 'psychologist', 'receptionist', 'accountant'];
+
+// Older accounts and tokens still carry 'admin'; it has the owner's rights
+const ROLE_ALIASES = {
+  admin: 'owner'
+};
+
+const PERMISSIONS = {
+  // Appointments
+  'appointments:read': ['owner', 'psychologist', 'receptionist'],
+  'appointments:manage': ['owner', 'receptionist'],
+  'appointments:delete': ['owner'],
+
+  // Calendar settings and weekly templates
+  'calendar:manage': ['owner', 'psychologist', 'receptionist'],
+
+  // Payments and receipts
+  'payments:read': ['owner', 'accountant'],
+  'payments:verify': ['owner', 'accountant'],
+
+  // Service catalogue and prices
+  'services:manage': ['owner'],
+
+  // Waitlist
+  'waitlist:read': ['owner', 'psychologist', 'receptionist'],
+  'waitlist:manage': ['owner', 'receptionist'],
+
+  // Staff accounts and their sessions
+  'users:manage': ['owner'],
+
+  // Blog posts: psychologists write and submit for review, owners publish
+  'blog:write': ['owner', 'psychologist'],
+  'blog:publish': ['owner'],
+  'blog:delete': ['owner'],
+
+  // Message templates and clinic contact details
+  'templates:manage': ['owner'],
+  'settings:manage': ['owner'],
+
+  // Email log, outbox and audit trail
+  'email-logs:read': ['owner'],
+  'outbox:manage': ['owner'],
+  'audit:read': ['owner']
+};
+
+const normalizeRole = (role) => ROLE_ALIASES[role] || role;
+
+const hasPermission = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return allowed.includes(normalizeRole(role));
+};
+
+// Everything a role may do, e.g. for the admin UI to hide actions
+const getPermissions = (role) => {
+  return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+};
+
+module.exports = {
+  ROLES,
+  ROLE_ALIASES,
+  PERMISSIONS,
+  normalizeRole,
+  hasPermission,
+  getPermissions
+};
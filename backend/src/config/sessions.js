@@ -0,0 +1,43 @@
+/**
+ * Session configuration
+ *
+ * Default working hours and the grid on which slot start times are offered.
+ * Session lengths and buffers come from the Service catalogue.
+ * All values are in minutes.
+ */
+const DEFAULT_SERVICE_TYPE = 'individual';
+
+// Used on days without a template or custom hours
+const DEFAULT_HOURS = [
+  { start: '09:00', end: '12:00' },
+  { start: '14:00', end: '17:00' }
+];
+
+// Slot start times are offered every SLOT_INTERVAL minutes, on a grid from midnight
+const SLOT_INTERVAL = parseInt(process.env.SLOT_INTERVAL_MINUTES) || 30;
+
+// Length assumed for appointments booked before durations were stored
+// (they used fixed hourly slots)
+const LEGACY_DURATION = 60;
+
+// Starting catalogue, created when the Service collection is empty; prices
+// are the previous flat fee and can be changed from the admin panel
+const DEFAULT_SERVICES = [
+  { slug: 'individual', name: 'Individual Therapy', duration: 50, bufferMinutes: 10, sortOrder: 1 },
+  { slug: 'couple', name: 'Couple Therapy', duration: 90, bufferMinutes: 15, sortOrder: 2 },
+  { slug: 'family', name: 'Family Therapy', duration: 90, bufferMinutes: 15, sortOrder: 3 },
+  { slug: 'adolescent', name: 'Adolescent Therapy', duration: 50, bufferMinutes: 10, sortOrder: 4 },
+  { slug: 'assessment', name: 'Psychological Assessment', duration: 120, bufferMinutes: 15, sortOrder: 5 }
+].map(service => ({
+  ...service,
+  prices: [{ currency: 'PKR', amount: 3000 }],
+  deliveryModes: ['in-person', 'online']
+}));
+
+module.exports = {
+  DEFAULT_SERVICE_TYPE,
+  DEFAULT_SERVICES,
+  DEFAULT_HOURS,
+  SLOT_INTERVAL,
+  LEGACY_DURATION
+};
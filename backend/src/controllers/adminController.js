@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const OutboxMessage = require('../models/OutboxMessage');
+const emailLogger = require('../utils/emailLogger');
+const outboxService = require('../utils/outboxService');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+const { escapeRegex } = require('../utils/query');
+
+// @desc    Browse the email/SMS notification log
+// @route   GET /api/admin/email-logs
+// @access  Private/Owner
+exports.getEmailLogs = async (req, res) => {
+  try {
+    const { to, type, status, channel, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const { logs, total } = await emailLogger.getLogs({
+      to,
+      type,
+      status,
+      channel,
+      startDate,
+      endDate,
+      page,
+      limit
+    });
+    
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get email logs error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    List outbox messages (e.g. status=failed)
+// @route   GET /api/admin/outbox
+// @access  Private/Owner
+exports.getOutbox = async (req, res) => {
+  try {
+    const { status, channel, type } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const query = {};
+    if (status) query.status = String(status);
+    if (channel) query.channel = String(channel);
+    if (type) query.type = String(type);
+    
+    const messages = await OutboxMessage.find(query)
+      .select('-body -text')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    
+    const total = await OutboxMessage.countDocuments(query);
+    
+    res.json({
+      success: true,
+      count: messages.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: messages
+    });
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Queue a failed message again
+// @route   POST /api/admin/outbox/:id/retry
+// @access  Private/Owner
+exports.retryOutboxMessage = async (req, res) => {
+  try {
+    const before = snapshot(await OutboxMessage.findById(req.params.id).select('-body -text'));
+    const message = await outboxService.retryMessage(req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        error: 'No unsent message with this id'
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'outbox.retry',
+      target: message,
+      before,
+      after: snapshot(await OutboxMessage.findById(message._id).select('-body -text'))
+    });
+    
+    res.json({
+      success: true,
+      message: 'Message queued for another attempt',
+      data: message
+    });
+  } catch (error) {
+    console.error('Retry outbox message error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Browse the audit log
+// @route   GET /api/admin/audit-logs
+// @access  Private/Owner
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { actor, action, targetModel, targetId, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const query = {};
+    
+    // actor: user id or email
+    if (actor) {
+      query[mongoose.isValidObjectId(actor) ? 'actor.user' : 'actor.email'] = String(actor);
+    }
+    // action: exact ('payment.verify') or a whole group ('payment')
+    if (action) {
+      const name = String(action);
+      query.action = name.includes('.') ? name : new RegExp(`^${escapeRegex(name)}\\.`);
+    }
+    if (targetModel) query.targetModel = String(targetModel);
+    if (targetId) query.targetId = String(targetId);
+    
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+    
+    const logs = await AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    
+    const total = await AuditLog.countDocuments(query);
+    
+    res.json({
+      success: true,
+      count: logs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
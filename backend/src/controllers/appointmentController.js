@@ -1,37 +1,28 @@
 const Appointment = require('../models/Appointment');
-const { sendClientConfirmation, sendAdminNotification } = require('../utils/emailService');
+const availabilityService = require('../utils/availabilityService');
+const { DEFAULT_SERVICE_TYPE } = require('../config/sessions');
+const { bookAppointment, reserveAppointmentSlot, releaseSlot, rescheduleAppointment } = require('../utils/bookingService');
+const { verifyManageToken } = require('../utils/manageLinks');
+const { notifyWaitlist } = require('../utils/waitlistService');
+const { ADMIN_EMAIL, sendTemplate, getAppointmentVars } = require('../utils/notifications');
+const { CANCELLATION_CUTOFF_HOURS } = require('../config/clinic');
+const { getAppointmentStart } = require('../utils/helpers');
+const ErrorResponse = require('../utils/errorResponse');
+const { snapshot, recordAudit } = require('../utils/auditLog');
 
 // @desc    Create new appointment with availability check
 // @route   POST /api/appointments
 // @access  Public
 exports.createAppointment = async (req, res) => {
   try {
-    const { appointmentDate, appointmentTime } = req.body;
+    // Checks availability and claims the slot atomically
+    const appointment = await bookAppointment(req.body);
     
-    // Check if slot is already booked
-    const existingAppointment = await Appointment.findOne({
-      appointmentDate: new Date(appointmentDate),
-      appointmentTime,
-      status: { $in: ['pending', 'confirmed'] }
-    });
-    
-    if (existingAppointment) {
-      return res.status(400).json({
-        success: false,
-        error: 'This time slot is already booked. Please choose another time.'
-      });
-    }
-    
-    const appointment = await Appointment.create(req.body);
+    // Email notifications never fail the booking
+    sendTemplate('appointment_client', { email: appointment.email },
+      getAppointmentVars(appointment, { links: true }));
     
-    // Send email notifications
-    try {
-      await sendClientConfirmation(appointment);
-      await sendAdminNotification(appointment);
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Don't fail the appointment if email fails
-    }
+    sendTemplate('appointment_admin', { email: ADMIN_EMAIL }, getAppointmentVars(appointment));
     
     res.status(201).json({
       success: true,
@@ -40,9 +31,11 @@ exports.createAppointment = async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating appointment:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
-      error: error.message
+      error: error.message,
+      // Let the website offer POST /api/waitlist instead of a dead end
+      canJoinWaitlist: error.statusCode === 409 || error.message === 'Fully booked'
     });
   }
 };
@@ -52,7 +45,7 @@ exports.createAppointment = async (req, res) => {
 // @access  Public
 exports.getAvailableSlots = async (req, res) => {
   try {
-    const { date } = req.query;
+    const { date, serviceType = DEFAULT_SERVICE_TYPE } = req.query;
     
     if (!date) {
       return res.status(400).json({
@@ -61,38 +54,17 @@ exports.getAvailableSlots = async (req, res) => {
       });
     }
     
-    const selectedDate = new Date(date);
-    const dayOfWeek = selectedDate.getDay();
-    
-    // Only Monday to Friday, 9 AM to 5 PM
-    const allSlots = ['09:00', '10:00', '11:00', '14:00', '15:00', '16:00'];
-    
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-      return res.status(200).json({
-        success: true,
-        data: []
-      });
-    }
-    
-    // Get booked slots for this date
-    const bookedAppointments = await Appointment.find({
-      appointmentDate: {
-        $gte: new Date(selectedDate.setHours(0, 0, 0, 0)),
-        $lt: new Date(selectedDate.setHours(23, 59, 59, 999))
-      },
-      status: { $in: ['pending', 'confirmed'] }
-    });
-    
-    const bookedTimes = bookedAppointments.map(app => app.appointmentTime);
-    const availableSlots = allSlots.filter(slot => !bookedTimes.includes(slot));
+    const service = await availabilityService.getBookableService(serviceType);
+    const availability = await availabilityService.getAvailableSlots(date, service);
     
     res.status(200).json({
       success: true,
-      data: availableSlots
+      data: availability.slots,
+      duration: availability.duration
     });
   } catch (error) {
     console.error('Error fetching available slots:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
@@ -104,11 +76,15 @@ exports.getAvailableSlots = async (req, res) => {
 // @access  Private/Admin
 exports.getAppointments = async (req, res) => {
   try {
-    const { status, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const { status, paymentStatus, serviceType, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
     
     let query = {};
     
-    if (status) query.status = status;
+    if (status && status !== 'all') query.status = String(status);
+    if (paymentStatus && paymentStatus !== 'all') query.paymentStatus = String(paymentStatus);
+    if (serviceType) query.serviceType = String(serviceType);
     
     if (startDate || endDate) {
       query.appointmentDate = {};
@@ -117,9 +93,10 @@ exports.getAppointments = async (req, res) => {
     }
     
     const appointments = await Appointment.find(query)
+      .populate('paymentId', 'status amount paymentMethod transactionId')
       .sort({ appointmentDate: 1, appointmentTime: 1 })
       .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+      .limit(limit);
     
     const total = await Appointment.countDocuments(query);
     
@@ -128,7 +105,7 @@ exports.getAppointments = async (req, res) => {
       count: appointments.length,
       total,
       totalPages: Math.ceil(total / limit),
-      currentPage: parseInt(page),
+      currentPage: page,
       data: appointments
     });
   } catch (error) {
@@ -140,16 +117,52 @@ exports.getAppointments = async (req, res) => {
   }
 };
 
-// @desc    Update appointment status
+// @desc    Get single appointment
+// @route   GET /api/appointments/:id
+// @access  Private/Admin
+exports.getAppointment = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .populate('paymentId');
+    
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error fetching appointment:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update appointment status and notes
 // @route   PUT /api/appointments/:id
 // @access  Private/Admin
 exports.updateAppointment = async (req, res) => {
   try {
-    const appointment = await Appointment.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Only status and notes are editable here; booking details go through the booking flow
+    const updates = {};
+    if (req.body.status !== undefined) updates.status = req.body.status;
+    if (req.body.adminNotes !== undefined) updates.adminNotes = req.body.adminNotes;
+    
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Nothing to update. Provide status and/or adminNotes'
+      });
+    }
+    
+    const appointment = await Appointment.findById(req.params.id);
     
     if (!appointment) {
       return res.status(404).json({
@@ -158,12 +171,90 @@ exports.updateAppointment = async (req, res) => {
       });
     }
     
+    const before = snapshot(appointment);
+    const wasActive = availabilityService.ACTIVE_STATUSES.includes(appointment.status);
+    appointment.set(updates);
+    const isActive = availabilityService.ACTIVE_STATUSES.includes(appointment.status);
+    
+    // Re-activating a cancelled appointment must win its slot back first
+    if (!wasActive && isActive) {
+      await reserveAppointmentSlot(appointment);
+    }
+    
+    await appointment.save();
+    
+    if (wasActive && !isActive) {
+      await releaseSlot(appointment);
+      if (appointment.status === 'cancelled') notifyWaitlist(appointment);
+    }
+    
+    await recordAudit(req, {
+      action: 'appointment.update',
+      target: appointment,
+      before,
+      after: snapshot(appointment)
+    });
+    
     res.status(200).json({
       success: true,
       data: appointment
     });
   } catch (error) {
     console.error('Error updating appointment:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel appointment
+// @route   PUT /api/appointments/:id/cancel
+// @access  Private/Admin
+exports.cancelAppointment = async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Appointment not found'
+      });
+    }
+    
+    if (appointment.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        error: 'Appointment already cancelled'
+      });
+    }
+    
+    const before = snapshot(appointment);
+    appointment.status = 'cancelled';
+    if (req.body.reason) {
+      appointment.adminNotes = [appointment.adminNotes, `Cancelled: ${req.body.reason}`]
+        .filter(Boolean)
+        .join('\n');
+    }
+    await appointment.save();
+    await releaseSlot(appointment);
+    notifyWaitlist(appointment);
+    
+    await recordAudit(req, {
+      action: 'appointment.cancel',
+      target: appointment,
+      before,
+      after: snapshot(appointment),
+      metadata: req.body.reason ? { reason: req.body.reason } : undefined
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Appointment cancelled',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
     res.status(400).json({
       success: false,
       error: error.message
@@ -185,6 +276,17 @@ exports.deleteAppointment = async (req, res) => {
       });
     }
     
+    await releaseSlot(appointment);
+    if (availabilityService.ACTIVE_STATUSES.includes(appointment.status)) {
+      notifyWaitlist(appointment);
+    }
+    
+    await recordAudit(req, {
+      action: 'appointment.delete',
+      target: appointment,
+      before: snapshot(appointment)
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Appointment deleted successfully'
@@ -196,4 +298,143 @@ exports.deleteAppointment = async (req, res) => {
       error: error.message
     });
   }
+};
+
+// Appointment fields shown to clients through manage links
+const MANAGE_FIELDS = 'clientName appointmentDate appointmentTime serviceType deliveryMode duration status paymentStatus amount currency';
+
+/**
+ * Load the appointment a manage token grants access to
+ */
+const findManagedAppointment = async (token) => {
+  let appointmentId;
+  try {
+    appointmentId = verifyManageToken(token);
+  } catch (error) {
+    throw new ErrorResponse('This link is invalid or has expired', 401);
+  }
+
+  const appointment = await Appointment.findById(appointmentId);
+  if (!appointment) {
+    throw new ErrorResponse('Appointment not found', 404);
+  }
+  return appointment;
+};
+
+/**
+ * Whether the client may still change the appointment online
+ */
+const canClientChange = (appointment) => {
+  const cutoff = getAppointmentStart(appointment).getTime() - CANCELLATION_CUTOFF_HOURS * 60 * 60 * 1000;
+  return availabilityService.ACTIVE_STATUSES.includes(appointment.status) && Date.now() < cutoff;
+};
+
+const assertClientCanChange = (appointment) => {
+  if (!availabilityService.ACTIVE_STATUSES.includes(appointment.status)) {
+    throw new ErrorResponse(`This appointment is ${appointment.status} and can no longer be changed`, 400);
+  }
+  if (!canClientChange(appointment)) {
+    throw new ErrorResponse(
+      `Appointments can only be changed online up to ${CANCELLATION_CUTOFF_HOURS} hours before the session. Please contact us.`,
+      400
+    );
+  }
+};
+
+// @desc    View appointment through a manage link
+// @route   GET /api/appointments/manage/:token
+// @access  Public (signed link)
+exports.getManagedAppointment = async (req, res) => {
+  try {
+    const appointment = await findManagedAppointment(req.params.token);
+    const data = await Appointment.findById(appointment._id).select(MANAGE_FIELDS);
+    
+    res.status(200).json({
+      success: true,
+      data,
+      canChange: canClientChange(appointment),
+      cancellationCutoffHours: CANCELLATION_CUTOFF_HOURS
+    });
+  } catch (error) {
+    console.error('Error fetching managed appointment:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reschedule appointment through a manage link
+// @route   PUT /api/appointments/manage/:token/reschedule
+// @access  Public (signed link)
+exports.rescheduleManagedAppointment = async (req, res) => {
+  try {
+    const appointment = await findManagedAppointment(req.params.token);
+    assertClientCanChange(appointment);
+    
+    const previousSlot = {
+      appointmentDate: appointment.appointmentDate,
+      appointmentTime: appointment.appointmentTime
+    };
+    const previous = `${new Date(previousSlot.appointmentDate).toDateString()} at ${previousSlot.appointmentTime}`;
+    
+    await rescheduleAppointment(appointment, {
+      appointmentDate: req.body.appointmentDate,
+      appointmentTime: req.body.appointmentTime
+    });
+    notifyWaitlist(previousSlot);
+    
+    sendTemplate('appointment_rescheduled_client', { email: appointment.email },
+      getAppointmentVars(appointment, { links: true }));
+    
+    sendTemplate('appointment_rescheduled_admin', { email: ADMIN_EMAIL },
+      { ...getAppointmentVars(appointment), previous });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Appointment rescheduled successfully',
+      data: await Appointment.findById(appointment._id).select(MANAGE_FIELDS)
+    });
+  } catch (error) {
+    console.error('Error rescheduling appointment:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel appointment through a manage link
+// @route   PUT /api/appointments/manage/:token/cancel
+// @access  Public (signed link)
+exports.cancelManagedAppointment = async (req, res) => {
+  try {
+    const appointment = await findManagedAppointment(req.params.token);
+    assertClientCanChange(appointment);
+    
+    appointment.status = 'cancelled';
+    appointment.adminNotes = [appointment.adminNotes, 'Cancelled by client via manage link']
+      .filter(Boolean)
+      .join('\n');
+    await appointment.save();
+    await releaseSlot(appointment);
+    notifyWaitlist(appointment);
+    
+    sendTemplate('appointment_cancelled_client', { email: appointment.email, phone: appointment.phone },
+      getAppointmentVars(appointment));
+    
+    sendTemplate('appointment_cancelled_admin', { email: ADMIN_EMAIL }, getAppointmentVars(appointment));
+    
+    res.status(200).json({
+      success: true,
+      message: 'Appointment cancelled',
+      data: await Appointment.findById(appointment._id).select(MANAGE_FIELDS)
+    });
+  } catch (error) {
+    console.error('Error cancelling appointment:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -1,52 +1,201 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const { LOCK_MINUTES, RESET_TOKEN_MINUTES, REQUIRE_TWO_FACTOR } = require('../config/auth');
+const { getPermissions } = require('../config/permissions');
+const { FRONTEND_URL } = require('../config/clinic');
+const { sendTemplate } = require('../utils/notifications');
+const tokenService = require('../utils/tokenService');
+const invitationService = require('../utils/invitationService');
+const totp = require('../utils/totp');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  const { accessToken, refreshToken } = await tokenService.createSession(user, req);
+  
+  res.status(statusCode).json({
+    success: true,
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: getPermissions(user.role),
+      twoFactorEnabled: user.twoFactorEnabled
+    },
+    // Admin routes stay closed until 2FA is set up (see middleware/auth.js)
+    twoFactorSetupRequired: REQUIRE_TWO_FACTOR && !user.twoFactorEnabled
   });
 };
 
-// @desc    Register admin user
-// @route   POST /api/auth/register
-// @access  Private (First setup only)
-exports.register = async (req, res) => {
+const sendLocked = (user, res) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+  return res.status(423).json({
+    success: false,
+    error: `Account locked after too many failed logins. Try again in ${minutes} minute(s)`
+  });
+};
+
+// Count a failed password or code; lock the account at the limit
+const sendLoginFailed = async (user, res, message) => {
+  const locked = await user.registerFailedLogin();
+  return res.status(locked ? 423 : 401).json({
+    success: false,
+    error: locked
+      ? `Account locked after too many failed logins. Try again in ${LOCK_MINUTES} minute(s)`
+      : message
+  });
+};
+
+/**
+ * Check a TOTP code or, failing that, a one-time recovery code.
+ * `user` must be loaded with +twoFactorSecret +twoFactorLastStep.
+ */
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = totp.verifyCode(user.twoFactorSecret, code);
+    if (step === null) return false;
+    
+    // Record the step atomically so the same code cannot be replayed
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastStep: { $lt: step } },
+          { twoFactorLastStep: { $exists: false } }
+        ]
+      },
+      { twoFactorLastStep: step }
+    );
+    return result.modifiedCount === 1;
+  }
+  
+  if (recoveryCode) {
+    return user.useRecoveryCode(recoveryCode);
+  }
+  
+  return false;
+};
+
+// @desc    Login user
+// @route   POST /api/auth/login
+// @access  Public
+exports.login = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { email, password } = req.body;
     
-    // Check if user exists
-    const userExists = await User.findOne({ email });
-    if (userExists) {
+    if (!email || !password) {
       return res.status(400).json({
         success: false,
-        error: 'User already exists'
+        error: 'Please provide email and password'
+      });
+    }
+    
+    // Check if user exists
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials'
+      });
+    }
+    
+    if (user.isLocked()) {
+      return sendLocked(user, res);
+    }
+    
+    // Check password
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return sendLoginFailed(user, res, 'Invalid credentials');
+    }
+    
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been deactivated'
       });
     }
     
-    // Create user
-    const user = await User.create({
-      name,
-      email,
-      password,
-      role: 'admin'
+    // Tokens are only issued once the second factor is checked too
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: tokenService.createChallengeToken(user)
+      });
+    }
+    
+    await user.resetLoginAttempts();
+    
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
     });
+  }
+};
+
+// @desc    Complete a login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token)
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const decoded = tokenService.verifyChallengeToken(challengeToken);
     
-    // Create token
-    const token = generateToken(user._id);
+    const user = await User.findById(decoded.id).select('+twoFactorSecret +twoFactorLastStep');
+    if (!user || !user.isActive || !user.twoFactorEnabled || (decoded.v || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Login expired, please sign in again'
+      });
+    }
     
-    res.status(201).json({
+    if (user.isLocked()) {
+      return sendLocked(user, res);
+    }
+    
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return sendLoginFailed(user, res, 'Invalid authentication code');
+    }
+    
+    await user.resetLoginAttempts();
+    
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error.message);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify token
+// @route   GET /api/auth/verify
+// @access  Private
+exports.verify = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    user: req.user,
+    permissions: getPermissions(req.user.role)
+  });
+};
+
+// @desc    Get current user
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res) => {
+  try {
+    res.status(200).json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+      user: req.user,
+      permissions: getPermissions(req.user.role)
     });
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('Get user error:', error);
     res.status(400).json({
       success: false,
       error: error.message
@@ -54,46 +203,207 @@ exports.register = async (req, res) => {
   }
 };
 
-// @desc    Login user
-// @route   POST /api/auth/login
+// @desc    Change own password
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide current and new password'
+      });
+    }
+    
+    const user = await User.findById(req.user._id).select('+password');
+    
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect'
+      });
+    }
+    
+    user.password = newPassword;
+    await user.save();
+    
+    // Sign out every other session; this one gets fresh tokens
+    user.tokenVersion = await tokenService.revokeAllSessions(user._id);
+    
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Email a one-time password reset link
+// @route   POST /api/auth/forgot-password
 // @access  Public
-exports.login = async (req, res) => {
+exports.forgotPassword = async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email } = req.body;
+    const user = email && await User.findOne({ email: String(email).toLowerCase() });
+    
+    // Same answer whether or not the account exists
+    if (user && user.isActive) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+      
+      const resetUrl = `${FRONTEND_URL}/admin/reset-password?token=${token}`;
+      
+      sendTemplate('password_reset', { email: user.email }, {
+        name: user.name,
+        resetUrl,
+        minutes: RESET_TOKEN_MINUTES
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'If that email belongs to an account, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send reset email'
+    });
+  }
+};
+
+// @desc    Set a new password with a reset token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+exports.resetPassword = async (req, res) => {
+  try {
+    const user = await User.findByResetToken(req.params.token);
     
-    // Check if user exists
-    const user = await User.findOne({ email }).select('+password');
     if (!user) {
-      return res.status(401).json({
+      return res.status(400).json({
         success: false,
-        error: 'Invalid credentials'
+        error: 'This reset link is invalid or has expired'
       });
     }
     
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+    
+    user.tokenVersion = await tokenService.revokeAllSessions(user._id);
+    
+    // An emailed link is not a second factor
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: tokenService.createChallengeToken(user)
+      });
+    }
+    
+    await sendTokenResponse(user, 200, req, res);
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token)
+exports.refresh = async (req, res) => {
+  try {
+    const { accessToken, refreshToken } = await tokenService.rotateSession(req.body.refreshToken, req);
+    
+    res.status(200).json({
+      success: true,
+      token: accessToken,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh error:', error.message);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out this session
+// @route   POST /api/auth/logout
+// @access  Public (refresh token)
+exports.logout = async (req, res) => {
+  try {
+    await tokenService.revokeSession(req.body.refreshToken);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Log out all of your own sessions
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res) => {
+  try {
+    await tokenService.revokeAllSessions(req.user._id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all sessions'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
         success: false,
-        error: 'Invalid credentials'
+        error: 'Two-factor authentication is already enabled'
       });
     }
     
-    // Create token
-    const token = generateToken(user._id);
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: req.user._id }, { twoFactorPendingSecret: secret });
     
     res.status(200).json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
+      data: {
+        secret,
+        otpauthUrl: totp.getProvisioningUri(secret, req.user.email)
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor setup error:', error);
     res.status(400).json({
       success: false,
       error: error.message
@@ -101,22 +411,176 @@ exports.login = async (req, res) => {
   }
 };
 
-// @desc    Get current user
-// @route   GET /api/auth/me
+// @desc    Confirm enrolment with a first code; returns recovery codes
+// @route   POST /api/auth/2fa/enable
 // @access  Private
-exports.getMe = async (req, res) => {
+exports.enableTwoFactor = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start two-factor setup first'
+      });
+    }
+    
+    const step = totp.verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+    
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    user.twoFactorLastStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
     
     res.status(200).json({
       success: true,
-      user
+      message: 'Two-factor authentication enabled. Store these recovery codes safely; they are shown only once.',
+      data: { recoveryCodes }
     });
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Two-factor enable error:', error);
     res.status(400).json({
       success: false,
       error: error.message
     });
   }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (REQUIRE_TWO_FACTOR) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor authentication is required for all staff'
+      });
+    }
+    
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorLastStep');
+    
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    if (!(await user.comparePassword(password)) ||
+        !(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid password or authentication code'
+      });
+    }
+    
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        $unset: { twoFactorSecret: 1, twoFactorLastStep: 1, recoveryCodes: 1 }
+      }
+    );
+    
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace recovery codes (invalidates the old ones)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep');
+    
+    if (!user.twoFactorEnabled || !(await checkSecondFactor(user, { code: req.body.code }))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+    
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+    
+    res.status(200).json({
+      success: true,
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Look up an invitation before accepting it
+// @route   GET /api/auth/invitations/:token
+// @access  Public (invitation token)
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.findPendingInvitation(req.params.token);
+    
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'This invitation is invalid or has expired'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation: set name and password, then sign in
+// @route   POST /api/auth/invitations/:token/accept
+// @access  Public (invitation token)
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { name, password } = req.body;
+    const user = await invitationService.acceptInvitation(req.params.token, { name, password });
+    
+    await sendTokenResponse(user, 201, req, res);
+  } catch (error) {
+    console.error('Accept invitation error:', error.message);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
 };
\ No newline at end of file
@@ -0,0 +1,553 @@
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const CloudinaryService = require('../utils/cloudinary');
+const blogService = require('../utils/blogService');
+const ErrorResponse = require('../utils/errorResponse');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+const { escapeRegex } = require('../utils/query');
+const fs = require('fs');
+
+// Fields admins may set on a post; the workflow has its own endpoints
+const BLOG_FIELDS = [
+  'title',
+  'excerpt',
+  'content',
+  'author',
+  'tags',
+  'category',
+  'seoTitle',
+  'seoDescription',
+  'seoKeywords'
+];
+
+// Full text is left out of listings
+const LIST_EXCLUDE = '-content -contentHtml -toc';
+
+// Sent as form fields alongside the cover image, so lists may arrive
+// as a JSON array or a comma-separated string
+const LIST_FIELDS = ['tags', 'seoKeywords'];
+
+const toList = (value) => {
+  if (Array.isArray(value)) return value.map(String).map(item => item.trim()).filter(Boolean);
+  if (typeof value !== 'string') return [];
+  
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    try {
+      return toList(JSON.parse(trimmed));
+    } catch (error) {
+      // Not JSON after all; treat as comma-separated
+    }
+  }
+  return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const pickBlogFields = (body) => {
+  const fields = {};
+  BLOG_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    fields[field] = LIST_FIELDS.includes(field) ? toList(body[field]) : body[field];
+  });
+  
+  // A blank slug goes back to one built from the title
+  if (body.slug !== undefined) {
+    const slug = String(body.slug).trim();
+    fields.customSlug = Boolean(slug);
+    if (slug) fields.slug = slug;
+  }
+  return fields;
+};
+
+const removeUploadedFile = (file) => {
+  if (file && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+// Upload the cover image sent with the request, if any
+const uploadCoverImage = async (file) => {
+  if (!file) return null;
+  
+  const result = await CloudinaryService.uploadImage(file.path, 'mindwell_blog');
+  if (!result.success) {
+    throw new ErrorResponse('Failed to upload cover image: ' + (result.error || 'Unknown error'), 502);
+  }
+  return { url: result.url, publicId: result.publicId };
+};
+
+// @desc    List published posts, optionally by category or tag
+// @route   GET /api/blogs
+// @access  Public
+exports.getBlogs = async (req, res) => {
+  try {
+    const { category, tag } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    
+    const query = blogService.publicQuery();
+    if (category) query.category = String(category);
+    if (tag) query.tags = new RegExp(`^${escapeRegex(tag)}$`, 'i');
+    
+    const [blogs, total] = await Promise.all([
+      Blog.find(query)
+        .select(LIST_EXCLUDE)
+        .sort({ publishedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Blog.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: blogs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: blogs
+    });
+  } catch (error) {
+    console.error('Error fetching blogs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blog posts'
+    });
+  }
+};
+
+// @desc    Full-text search of published posts
+// @route   GET /api/blogs/search?q=
+// @access  Public
+exports.searchBlogs = async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    
+    if (!q) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a search term'
+      });
+    }
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const query = { ...blogService.publicQuery(), $text: { $search: q } };
+    
+    const [blogs, total] = await Promise.all([
+      Blog.find(query, { score: { $meta: 'textScore' } })
+        .select(LIST_EXCLUDE)
+        .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Blog.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: blogs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: blogs
+    });
+  } catch (error) {
+    console.error('Error searching blogs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search blog posts'
+    });
+  }
+};
+
+// @desc    Get a published post by slug and count the view. An old slug
+//          redirects (301) to the post's current one.
+// @route   GET /api/blogs/:slug
+// @access  Public
+exports.getBlogBySlug = async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    const blog = await Blog.findOneAndUpdate(
+      { ...blogService.publicQuery(), slug },
+      { $inc: { views: 1 } },
+      { new: true, timestamps: false }
+    );
+    
+    if (!blog) {
+      const renamed = await Blog.findOne({ ...blogService.publicQuery(), previousSlugs: slug })
+        .select('slug');
+      
+      if (renamed) {
+        return res
+          .status(301)
+          .location(`${req.baseUrl}/${encodeURIComponent(renamed.slug)}`)
+          .json({
+            success: false,
+            error: 'Blog post has moved',
+            slug: renamed.slug
+          });
+      }
+      
+      return res.status(404).json({
+        success: false,
+        error: 'Blog post not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: blog
+    });
+  } catch (error) {
+    console.error('Error fetching blog:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blog post'
+    });
+  }
+};
+
+// @desc    List all posts in any state
+// @route   GET /api/blogs/admin/all
+// @access  Private/Admin
+exports.getAllBlogs = async (req, res) => {
+  try {
+    const { category, tag, status } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    
+    const query = {};
+    if (category) query.category = String(category);
+    if (tag) query.tags = new RegExp(`^${escapeRegex(tag)}$`, 'i');
+    if (status) query.status = String(status);
+    
+    const [blogs, total] = await Promise.all([
+      Blog.find(query)
+        .select(LIST_EXCLUDE)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Blog.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      success: true,
+      count: blogs.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: blogs
+    });
+  } catch (error) {
+    console.error('Error fetching blogs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch blog posts'
+    });
+  }
+};
+
+// @desc    Get any post by id
+// @route   GET /api/blogs/admin/:id
+// @access  Private/Admin
+exports.getBlogById = async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blog post not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: blog
+    });
+  } catch (error) {
+    console.error('Error fetching blog:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a draft post, with an optional cover image
+// @route   POST /api/blogs
+// @access  Private/Admin
+exports.createBlog = async (req, res) => {
+  let coverImage = null;
+  
+  try {
+    const blog = new Blog({
+      ...pickBlogFields(req.body),
+      status: 'draft'
+    });
+    if (!blog.author && req.user.name) blog.author = req.user.name;
+    await blog.validate();
+    
+    coverImage = await uploadCoverImage(req.file);
+    if (coverImage) blog.coverImage = coverImage;
+    await blog.save();
+    await blogService.recordRevision(blog, req.user, { action: 'create' });
+    
+    await recordAudit(req, {
+      action: 'blog.create',
+      target: blog,
+      after: snapshot(blog)
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: blog
+    });
+  } catch (error) {
+    console.error('Error creating blog:', error);
+    removeUploadedFile(req.file);
+    if (coverImage) await CloudinaryService.deleteImage(coverImage.publicId);
+    
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.code === 11000 ? 'A post with this slug already exists' : error.message
+    });
+  }
+};
+
+// @desc    Update a post (saved as a new revision). Published and scheduled
+//          posts need blog:publish.
+// @route   PUT /api/blogs/:id
+// @access  Private/Admin
+exports.updateBlog = async (req, res) => {
+  let coverImage = null;
+  
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      removeUploadedFile(req.file);
+      return res.status(404).json({
+        success: false,
+        error: 'Blog post not found'
+      });
+    }
+    
+    blogService.assertCanEdit(blog, req.user);
+    const before = snapshot(blog);
+    
+    blog.set(pickBlogFields(req.body));
+    await blog.validate();
+    
+    coverImage = await uploadCoverImage(req.file);
+    if (coverImage) {
+      blog.coverImage = coverImage;
+    } else if (req.body.removeCoverImage === true || req.body.removeCoverImage === 'true') {
+      blog.coverImage = undefined;
+    }
+    // Replaced images stay on Cloudinary: older revisions may use them
+    await blog.save();
+    await blogService.recordRevision(blog, req.user);
+    
+    await recordAudit(req, {
+      action: 'blog.update',
+      target: blog,
+      before,
+      after: snapshot(blog)
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: blog
+    });
+  } catch (error) {
+    console.error('Error updating blog:', error);
+    removeUploadedFile(req.file);
+    if (coverImage) await CloudinaryService.deleteImage(coverImage.publicId);
+    
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.code === 11000 ? 'A post with this slug already exists' : error.message
+    });
+  }
+};
+
+const updateStatus = (action, message) => async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blog post not found'
+      });
+    }
+    
+    const before = snapshot(blog);
+    blogService.changeStatus(blog, action, { publishedAt: req.body.publishedAt });
+    await blog.save();
+    
+    await recordAudit(req, {
+      action: `blog.${action}`,
+      target: blog,
+      before,
+      after: snapshot(blog)
+    });
+    
+    res.status(200).json({
+      success: true,
+      message,
+      data: blog
+    });
+  } catch (error) {
+    console.error(`Error in blog ${action}:`, error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Submit a draft for review
+// @route   PUT /api/blogs/:id/submit
+// @access  Private/Admin
+exports.submitBlog = updateStatus('submit', 'Blog post submitted for review');
+
+// @desc    Publish a post now
+// @route   PUT /api/blogs/:id/publish
+// @access  Private/Admin
+exports.publishBlog = updateStatus('publish', 'Blog post published');
+
+// @desc    Publish a post at a future date ({ publishedAt })
+// @route   PUT /api/blogs/:id/schedule
+// @access  Private/Admin
+exports.scheduleBlog = updateStatus('schedule', 'Blog post scheduled');
+
+// @desc    Take a post off the website and back to draft
+// @route   PUT /api/blogs/:id/unpublish
+// @access  Private/Admin
+exports.unpublishBlog = updateStatus('unpublish', 'Blog post moved back to draft');
+
+// @desc    List a post's revisions (without content)
+// @route   GET /api/blogs/admin/:id/revisions
+// @access  Private/Admin
+exports.getRevisions = async (req, res) => {
+  try {
+    const revisions = await blogService.getRevisions(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    console.error('Error fetching blog revisions:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a revision and its diff against the current post (or ?against=<version>)
+// @route   GET /api/blogs/admin/:id/revisions/:version
+// @access  Private/Admin
+exports.getRevision = async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blog post not found'
+      });
+    }
+    
+    const comparison = await blogService.compareRevision(blog, req.params.version, req.query.against);
+    
+    res.status(200).json({
+      success: true,
+      data: comparison
+    });
+  } catch (error) {
+    console.error('Error fetching blog revision:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore a revision's content (saved as a new revision)
+// @route   POST /api/blogs/:id/revisions/:version/restore
+// @access  Private/Admin
+exports.restoreRevision = async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blog post not found'
+      });
+    }
+    
+    const before = snapshot(blog);
+    await blogService.restoreRevision(blog, req.params.version, req.user);
+    
+    await recordAudit(req, {
+      action: 'blog.restore',
+      target: blog,
+      before,
+      after: snapshot(blog),
+      metadata: { version: Number(req.params.version) }
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Revision ${req.params.version} restored`,
+      data: blog
+    });
+  } catch (error) {
+    console.error('Error restoring blog revision:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.code === 11000 ? 'A post with this slug already exists' : error.message
+    });
+  }
+};
+
+// @desc    Delete a post, its revisions and their cover images
+// @route   DELETE /api/blogs/:id
+// @access  Private/Admin
+exports.deleteBlog = async (req, res) => {
+  try {
+    const blog = await Blog.findByIdAndDelete(req.params.id);
+    
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Blog post not found'
+      });
+    }
+    
+    const imageIds = await blogService.getCoverImageIds(blog);
+    await BlogRevision.deleteMany({ blog: blog._id });
+    await Promise.all(imageIds.map(id => CloudinaryService.deleteImage(id)));
+    
+    await recordAudit(req, {
+      action: 'blog.delete',
+      target: blog,
+      before: snapshot(blog)
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Blog post deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting blog:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -1,8 +1,35 @@
 const CalendarSettings = require('../models/CalendarSettings');
+const AvailabilityTemplate = require('../models/AvailabilityTemplate');
+const availabilityService = require('../utils/availabilityService');
+const { DEFAULT_HOURS, DEFAULT_SERVICE_TYPE, SLOT_INTERVAL } = require('../config/sessions');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+
+/**
+ * Update for a date override. The cap is only stored when one is given,
+ * so an override that just changes hours keeps the template's cap.
+ */
+const overrideUpdate = ({ date, isAvailable, reason, customHours, maxAppointments }) => {
+  const update = {
+    date: new Date(date),
+    isAvailable: isAvailable !== undefined ? isAvailable : true,
+    reason: reason || '',
+    customHours: customHours || [],
+    updatedAt: Date.now()
+  };
+  
+  if (maxAppointments) {
+    update.maxAppointments = maxAppointments;
+  } else {
+    update.$unset = { maxAppointments: 1 };
+  }
+  
+  return update;
+};
 
 /**
  * Get calendar settings for a date range
  * Used by frontend to show available dates
+ * Resolves weekly templates, per-date overrides and defaults for each day
  */
 exports.getCalendarSettings = async (req, res) => {
   try {
@@ -15,68 +42,22 @@ exports.getCalendarSettings = async (req, res) => {
       });
     }
     
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    
-    // Get all calendar settings in the date range
-    const settings = await CalendarSettings.find({
-      date: { $gte: start, $lte: end }
-    }).sort({ date: 1 });
+    const schedules = await availabilityService.getScheduleRange(startDate, endDate);
     
-    // Create a map for quick lookup
-    const settingsMap = {};
-    settings.forEach(setting => {
-      const dateStr = setting.date.toISOString().split('T')[0];
-      settingsMap[dateStr] = setting;
-    });
-    
-    // Generate response for each date in range
-    const calendarData = [];
-    const currentDate = new Date(start);
-    
-    while (currentDate <= end) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-      const dayOfWeek = currentDate.getDay(); // 0 = Sunday, 6 = Saturday
-      
-      // Check if we have custom settings for this date
-      if (settingsMap[dateStr]) {
-        const setting = settingsMap[dateStr];
-        calendarData.push({
-          date: dateStr,
-          isAvailable: setting.isAvailable,
-          reason: setting.reason,
-          customHours: setting.customHours,
-          maxAppointments: setting.maxAppointments,
-          hasCustomSettings: true
-        });
-      } else {
-        // Default settings: Weekdays available, weekends unavailable
-        const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-        calendarData.push({
-          date: dateStr,
-          isAvailable: !isWeekend, // Available on weekdays by default
-          reason: isWeekend ? 'Weekend' : 'Default weekday',
-          customHours: [],
-          maxAppointments: 8,
-          hasCustomSettings: false
-        });
-      }
-      
-      // Move to next day
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
+    const calendarData = schedules.map(({ slots, ...schedule }) => schedule);
     
     res.json({
       success: true,
       data: calendarData,
-      defaultHours: ['09:00', '10:00', '11:00', '14:00', '15:00', '16:00']
+      defaultHours: DEFAULT_HOURS,
+      slotInterval: SLOT_INTERVAL
     });
     
   } catch (error) {
     console.error('Error fetching calendar settings:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to fetch calendar settings'
+      error: error.statusCode ? error.message : 'Failed to fetch calendar settings'
     });
   }
 };
@@ -86,7 +67,7 @@ exports.getCalendarSettings = async (req, res) => {
  */
 exports.updateCalendarSettings = async (req, res) => {
   try {
-    const { date, isAvailable, reason, customHours, maxAppointments } = req.body;
+    const { date, customHours } = req.body;
     
     if (!date) {
       return res.status(400).json({
@@ -107,17 +88,12 @@ exports.updateCalendarSettings = async (req, res) => {
       }
     }
     
+    const before = snapshot(await CalendarSettings.findOne({ date: new Date(date) }));
+    
     // Find or create calendar setting for this date
     const setting = await CalendarSettings.findOneAndUpdate(
       { date: new Date(date) },
-      {
-        date: new Date(date),
-        isAvailable: isAvailable !== undefined ? isAvailable : true,
-        reason: reason || '',
-        customHours: customHours || [],
-        maxAppointments: maxAppointments || 8,
-        updatedAt: Date.now()
-      },
+      overrideUpdate(req.body),
       {
         new: true, // Return updated document
         upsert: true, // Create if doesn't exist
@@ -125,6 +101,13 @@ exports.updateCalendarSettings = async (req, res) => {
       }
     );
     
+    await recordAudit(req, {
+      action: 'calendar.update',
+      target: setting,
+      before,
+      after: snapshot(setting)
+    });
+    
     res.json({
       success: true,
       message: 'Calendar settings updated successfully',
@@ -158,16 +141,10 @@ exports.bulkUpdateCalendarSettings = async (req, res) => {
     
     for (const update of updates) {
       try {
+        const before = snapshot(await CalendarSettings.findOne({ date: new Date(update.date) }));
         const setting = await CalendarSettings.findOneAndUpdate(
           { date: new Date(update.date) },
-          {
-            date: new Date(update.date),
-            isAvailable: update.isAvailable !== undefined ? update.isAvailable : true,
-            reason: update.reason || '',
-            customHours: update.customHours || [],
-            maxAppointments: update.maxAppointments || 8,
-            updatedAt: Date.now()
-          },
+          overrideUpdate(update),
           {
             new: true,
             upsert: true,
@@ -175,6 +152,14 @@ exports.bulkUpdateCalendarSettings = async (req, res) => {
           }
         );
         results.push(setting);
+        
+        await recordAudit(req, {
+          action: 'calendar.update',
+          target: setting,
+          before,
+          after: snapshot(setting),
+          metadata: { bulk: true }
+        });
       } catch (err) {
         console.error(`Error updating date ${update.date}:`, err);
         results.push({ date: update.date, error: err.message });
@@ -244,11 +229,11 @@ exports.getAllCalendarSettings = async (req, res) => {
 
 /**
  * Check if a specific date/time is available for booking
- * This will be used by the appointment booking system
+ * Uses the same availability rules as the booking endpoint
  */
 exports.checkAvailability = async (req, res) => {
   try {
-    const { date, time } = req.query;
+    const { date, time, serviceType = DEFAULT_SERVICE_TYPE } = req.query;
     
     if (!date || !time) {
       return res.status(400).json({
@@ -257,62 +242,162 @@ exports.checkAvailability = async (req, res) => {
       });
     }
     
-    const bookingDate = new Date(date);
-    const dayOfWeek = bookingDate.getDay();
+    const service = await availabilityService.getBookableService(serviceType);
+    const result = await availabilityService.checkSlot(date, time, service);
     
-    // Check if we have custom settings for this date
-    const dateStr = bookingDate.toISOString().split('T')[0];
-    const setting = await CalendarSettings.findOne({
-      date: { $gte: new Date(dateStr + 'T00:00:00'), $lt: new Date(dateStr + 'T23:59:59') }
+    res.json({
+      success: true,
+      data: result
     });
     
-    let isAvailable = true;
-    let reason = '';
-    
-    if (setting) {
-      // Use custom settings
-      isAvailable = setting.isAvailable;
-      reason = setting.reason || 'Custom setting';
-      
-      // Check if time is within custom hours
-      if (setting.customHours && setting.customHours.length > 0) {
-        const timeInMinutes = parseInt(time.split(':')[0]) * 60 + parseInt(time.split(':')[1]);
-        const isValidTime = setting.customHours.some(slot => {
-          const startMinutes = parseInt(slot.start.split(':')[0]) * 60 + parseInt(slot.start.split(':')[1]);
-          const endMinutes = parseInt(slot.end.split(':')[0]) * 60 + parseInt(slot.end.split(':')[1]);
-          return timeInMinutes >= startMinutes && timeInMinutes < endMinutes;
-        });
-        
-        if (!isValidTime) {
-          isAvailable = false;
-          reason = 'Outside custom working hours';
-        }
-      }
-    } else {
-      // Use default settings: weekends unavailable
-      const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
-      if (isWeekend) {
-        isAvailable = false;
-        reason = 'Weekend (no custom settings)';
-      }
+  } catch (error) {
+    console.error('Error checking availability:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to check availability'
+    });
+  }
+};
+
+/**
+ * Admin: Get recurring weekly templates
+ */
+exports.getTemplates = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === 'true';
     }
     
+    const templates = await AvailabilityTemplate.find(query)
+      .sort({ effectiveFrom: -1 });
+    
     res.json({
       success: true,
-      data: {
-        date: dateStr,
-        time,
-        isAvailable,
-        reason,
-        hasCustomSettings: !!setting
-      }
+      data: templates
     });
     
   } catch (error) {
-    console.error('Error checking availability:', error);
+    console.error('Error fetching availability templates:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to check availability'
+      error: 'Failed to fetch availability templates'
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Admin: Create a recurring weekly template
+ */
+exports.createTemplate = async (req, res) => {
+  try {
+    const { name, weeklyHours, effectiveFrom, effectiveTo, maxAppointments, isActive } = req.body;
+    
+    const template = await AvailabilityTemplate.create({
+      name,
+      weeklyHours: weeklyHours || [],
+      effectiveFrom,
+      effectiveTo: effectiveTo || null,
+      maxAppointments,
+      isActive
+    });
+    
+    await recordAudit(req, {
+      action: 'availability-template.create',
+      target: template,
+      after: snapshot(template)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Availability template created successfully',
+      data: template
+    });
+    
+  } catch (error) {
+    console.error('Error creating availability template:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Failed to create availability template'
+    });
+  }
+};
+
+/**
+ * Admin: Update a recurring weekly template
+ */
+exports.updateTemplate = async (req, res) => {
+  try {
+    const template = await AvailabilityTemplate.findById(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Availability template not found'
+      });
+    }
+    
+    const before = snapshot(template);
+    const fields = ['name', 'weeklyHours', 'effectiveFrom', 'effectiveTo', 'maxAppointments', 'isActive'];
+    fields.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    
+    // Runs the template's start/end validation
+    await template.save();
+    
+    await recordAudit(req, {
+      action: 'availability-template.update',
+      target: template,
+      before,
+      after: snapshot(template)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Availability template updated successfully',
+      data: template
+    });
+    
+  } catch (error) {
+    console.error('Error updating availability template:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      error: error.message || 'Failed to update availability template'
+    });
+  }
+};
+
+/**
+ * Admin: Delete a recurring weekly template
+ */
+exports.deleteTemplate = async (req, res) => {
+  try {
+    const template = await AvailabilityTemplate.findByIdAndDelete(req.params.id);
+    
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: 'Availability template not found'
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'availability-template.delete',
+      target: template,
+      before: snapshot(template)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Availability template deleted successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error deleting availability template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete availability template'
+    });
+  }
+};
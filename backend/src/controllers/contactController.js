@@ -0,0 +1,29 @@
+const Contact = require('../models/Contact');
+const { sendTemplate } = require('../utils/notifications');
+
+// @desc    Submit contact form
+// @route   POST /api/contact
+// @access  Public
+exports.createContact = async (req, res) => {
+  try {
+    const { name, email, phone, subject, message } = req.body;
+    
+    const contact = await Contact.create({ name, email, phone, subject, message });
+    
+    sendTemplate('contact_client', { email: contact.email }, {
+      name: contact.name,
+      subject: contact.subject
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Message received'
+    });
+  } catch (error) {
+    console.error('Error saving contact:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,34 @@
+const { JOBS } = require('../jobs');
+
+/**
+ * @desc    Run one scheduled job (reminders, waitlist, outbox, blog; see
+ *          src/jobs) and return its summary
+ * @route   GET /api/cron/:job
+ * @access  Private/Cron
+ */
+exports.runJob = async (req, res) => {
+  const name = req.params.job;
+  
+  if (!Object.prototype.hasOwnProperty.call(JOBS, name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown job: ${name}`
+    });
+  }
+  
+  try {
+    const result = await JOBS[name].run();
+    
+    res.json({
+      success: true,
+      data: result
+    });
+    
+  } catch (error) {
+    console.error(`Cron ${name} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to run the ${name} job`
+    });
+  }
+};
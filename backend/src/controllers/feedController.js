@@ -0,0 +1,66 @@
+const feedService = require('../utils/feedService');
+
+// Browsers and feed readers may keep a copy for 15 minutes, shared caches
+// (Vercel's CDN) for an hour while they refetch in the background. Express
+// adds an ETag, so conditional requests get a 304.
+const CACHE_CONTROL = 'public, max-age=900, s-maxage=3600, stale-while-revalidate=86400';
+
+const sendXml = (res, type, body) => {
+  res.set('Cache-Control', CACHE_CONTROL);
+  res.type(type).send(body);
+};
+
+const selfUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+const sendFeed = (format) => async (req, res) => {
+  try {
+    const { category } = req.params;
+    if (category && !feedService.CATEGORIES.includes(category)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown category: ${category}`
+      });
+    }
+    
+    const feed = await feedService.getFeed(category);
+    
+    if (format === 'atom') {
+      sendXml(res, 'application/atom+xml', feedService.buildAtom(feed, selfUrl(req)));
+    } else {
+      sendXml(res, 'application/rss+xml', feedService.buildRss(feed, selfUrl(req)));
+    }
+  } catch (error) {
+    console.error('Feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build feed'
+    });
+  }
+};
+
+// @desc    RSS 2.0 feed of the newest posts, optionally in one category
+// @route   GET /feed.xml, GET /feed/:category.xml
+// @access  Public
+exports.getRssFeed = sendFeed('rss');
+
+// @desc    Atom feed of the newest posts, optionally in one category
+// @route   GET /atom.xml, GET /atom/:category.xml
+// @access  Public
+exports.getAtomFeed = sendFeed('atom');
+
+// @desc    XML sitemap of the website's blog pages
+// @route   GET /sitemap.xml
+// @access  Public
+exports.getSitemap = async (req, res) => {
+  try {
+    const urls = await feedService.getSitemap();
+    
+    sendXml(res, 'application/xml', feedService.buildSitemap(urls));
+  } catch (error) {
+    console.error('Sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build sitemap'
+    });
+  }
+};
@@ -1,55 +1,16 @@
 const Payment = require('../models/Payment');
 const Appointment = require('../models/Appointment');
+const Service = require('../models/Service');
+const ClinicSettings = require('../models/ClinicSettings');
 const CloudinaryService = require('../utils/cloudinary');
-const emailLogger = require('../utils/emailLogger');
+const { ADMIN_EMAIL, sendTemplate, getAppointmentVars } = require('../utils/notifications');
+const { reserveAppointmentSlot, releaseSlot } = require('../utils/bookingService');
+const { ACTIVE_STATUSES } = require('../utils/availabilityService');
+const { notifyWaitlist } = require('../utils/waitlistService');
+const { DEFAULT_CURRENCY } = require('../config/clinic');
+const { snapshot, recordAudit } = require('../utils/auditLog');
 const fs = require('fs');
 const path = require('path');
-const nodemailer = require('nodemailer');
-
-// Email transporter setup (same as server.js)
-let transporter;
-const ADMIN_EMAIL = process.env.EMAIL_USER || 'admin@mindwell.com';
-
-if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-  transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS,
-    },
-  });
-}
-
-/**
- * Helper function to send emails (same as server.js)
- */
-const sendEmailAndLog = async (to, subject, type, html) => {
-  try {
-    if (!transporter) {
-      console.log(`📧 Email skipped (not configured) to ${to} (${type})`);
-      // Still log even if not configured
-      emailLogger.logEmail(to, subject, type + '_skipped', 'Email not configured');
-      return false;
-    }
-
-    const info = await transporter.sendMail({
-      from: `"MindWell Psychology" <${ADMIN_EMAIL}>`,
-      to,
-      subject,
-      html,
-    });
-    
-    console.log(`✅ Email sent to ${to} (${type})`);
-    // Log to email logger
-    emailLogger.logEmail(to, subject, type, html.substring(0, 500));
-    return true;
-    
-  } catch (err) {
-    console.error('❌ Email failed:', err.message);
-    emailLogger.logEmail(to, subject, type + '_failed', `Error: ${err.message}`);
-    return false;
-  }
-};
 
 /**
  * @desc    Submit payment with receipt
@@ -85,6 +46,14 @@ exports.submitPayment = async (req, res) => {
       });
     }
 
+    // The fee is fixed by the service booked; reject receipts for a different amount
+    if (amount !== undefined && amount !== '' && Number(amount) !== appointment.amount) {
+      return res.status(400).json({
+        success: false,
+        error: `Payment amount must be ${appointment.currency} ${appointment.amount}`
+      });
+    }
+
     // Validate file
     const fileValidation = CloudinaryService.validateFile(req.file);
     if (!fileValidation.valid) {
@@ -115,7 +84,8 @@ exports.submitPayment = async (req, res) => {
       clientName: appointment.clientName,
       clientEmail: appointment.email,
       clientPhone: appointment.phone,
-      amount: amount || appointment.amount || 3000,
+      amount: appointment.amount,
+      currency: appointment.currency,
       paymentMethod,
       transactionId,
       transactionDate: transactionDate || new Date(),
@@ -129,36 +99,16 @@ exports.submitPayment = async (req, res) => {
     appointment.paymentId = payment._id;
     await appointment.save();
 
-    // Send email notifications - USING FIXED FUNCTION
-    // 1. Email to client
-    sendEmailAndLog(
-      appointment.email,
-      'Payment Received - MindWell Psychology',
-      'payment_received_client',
-      `<p>Dear ${appointment.clientName},</p>
-       <p>Your payment receipt has been received successfully.</p>
-       <p><strong>Amount:</strong> PKR ${payment.amount}</p>
-       <p><strong>Transaction ID:</strong> ${payment.transactionId}</p>
-       <p>We will verify your payment shortly and confirm your appointment.</p>
-       <p>Best regards,<br>MindWell Psychology</p>`
-    ).catch(err => console.error('Email error:', err));
-
-    // 2. Email to admin
-    sendEmailAndLog(
-      ADMIN_EMAIL,
-      '💰 New Payment Receipt Submitted',
-      'payment_received_admin',
-      `<p><strong>New payment receipt submitted</strong></p>
-       <p><strong>Client:</strong> ${appointment.clientName}</p>
-       <p><strong>Email:</strong> ${appointment.email}</p>
-       <p><strong>Phone:</strong> ${appointment.phone}</p>
-       <p><strong>Amount:</strong> PKR ${payment.amount}</p>
-       <p><strong>Method:</strong> ${payment.paymentMethod}</p>
-       <p><strong>Transaction ID:</strong> ${payment.transactionId}</p>
-       <p><strong>Appointment Date:</strong> ${new Date(appointment.appointmentDate).toDateString()} at ${appointment.appointmentTime}</p>
-       <p><a href="${uploadResult.url}" target="_blank">View Receipt</a></p>
-       <p>Please verify this payment in the admin dashboard.</p>`
-    ).catch(err => console.error('Email error:', err));
+    // Email notifications
+    const paymentVars = {
+      ...getAppointmentVars(appointment),
+      amount: `${payment.currency} ${payment.amount}`,
+      method: payment.paymentMethod,
+      transactionId: payment.transactionId,
+      receiptUrl: uploadResult.url
+    };
+    sendTemplate('payment_received_client', { email: appointment.email }, paymentVars);
+    sendTemplate('payment_received_admin', { email: ADMIN_EMAIL }, paymentVars);
 
     res.status(201).json({
       success: true,
@@ -287,7 +237,15 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
+    // A cancelled appointment (by the client, or after a rejected payment)
+    // gave up its slot and must win it back before it can be confirmed
+    const appointment = await Appointment.findById(payment.appointmentId);
+    if (appointment && !ACTIVE_STATUSES.includes(appointment.status)) {
+      await reserveAppointmentSlot(appointment);
+    }
+
     // Update payment
+    const paymentBefore = snapshot(payment);
     payment.status = 'verified';
     payment.verifiedBy = adminUser;
     payment.verifiedAt = new Date();
@@ -295,61 +253,43 @@ exports.verifyPayment = async (req, res) => {
     await payment.save();
 
     // Update appointment
-    const appointment = await Appointment.findById(payment.appointmentId);
     if (appointment) {
+      const appointmentBefore = snapshot(appointment);
       appointment.paymentStatus = 'verified';
       appointment.status = 'confirmed';  // Confirm the appointment
       await appointment.save();
+      
+      await recordAudit(req, {
+        action: 'appointment.confirm',
+        target: appointment,
+        before: appointmentBefore,
+        after: snapshot(appointment),
+        metadata: { paymentId: payment._id }
+      });
     }
+    
+    await recordAudit(req, {
+      action: 'payment.verify',
+      target: payment,
+      before: paymentBefore,
+      after: snapshot(payment)
+    });
 
-    // Send confirmation email to client
-    sendEmailAndLog(
-      payment.clientEmail,
-      'Payment Verified - Appointment Confirmed',
-      'payment_verified_client',
-      `<p>Dear ${payment.clientName},</p>
-       <p>Your payment has been verified successfully!</p>
-       
-       <p><strong>Appointment Confirmed:</strong></p>
-       <p><strong>Date:</strong> ${appointment?.appointmentDate ? new Date(appointment.appointmentDate).toDateString() : 'To be scheduled'}</p>
-       <p><strong>Time:</strong> ${appointment?.appointmentTime || 'To be confirmed'}</p>
-       
-       <p><strong>Payment Details:</strong></p>
-       <p><strong>Amount:</strong> PKR ${payment.amount}</p>
-       <p><strong>Transaction ID:</strong> ${payment.transactionId}</p>
-       <p><strong>Verified by:</strong> ${payment.verifiedBy}</p>
-       
-       ${notes ? `<p><strong>Notes:</strong> ${notes}</p>` : ''}
-       
-       <p>Your appointment is now confirmed. You will receive a reminder before your session.</p>
-       <p>Best regards,<br>MindWell Psychology</p>`
-    ).catch(err => console.error('Email error:', err));
-
-    // Send notification to admin
-    sendEmailAndLog(
-      ADMIN_EMAIL,
-      '✅ Payment Verified Successfully',
-      'payment_verified_admin',
-      `<p><strong>Payment verified successfully</strong></p>
-       
-       <p><strong>Client:</strong> ${payment.clientName}</p>
-       <p><strong>Email:</strong> ${payment.clientEmail}</p>
-       <p><strong>Phone:</strong> ${payment.clientPhone}</p>
-       <p><strong>Amount:</strong> PKR ${payment.amount}</p>
-       <p><strong>Method:</strong> ${payment.paymentMethod}</p>
-       <p><strong>Transaction ID:</strong> ${payment.transactionId}</p>
-       
-       <p><strong>Appointment:</strong></p>
-       <p>Date: ${appointment ? new Date(appointment.appointmentDate).toDateString() : 'N/A'}</p>
-       <p>Time: ${appointment ? appointment.appointmentTime : 'N/A'}</p>
-       
-       <p><strong>Verified by:</strong> ${payment.verifiedBy}</p>
-       <p><strong>Verification Notes:</strong> ${notes || 'None'}</p>
-       
-       <p><a href="${payment.receiptImage}" target="_blank">View Receipt</a></p>
-       
-       <p>Payment and appointment have been confirmed.</p>`
-    ).catch(err => console.error('Email error:', err));
+    // Confirmation to the client (email and SMS) and the admin
+    const verifiedVars = {
+      ...(appointment ? getAppointmentVars(appointment, { links: true }) : {}),
+      clientName: payment.clientName,
+      clientEmail: payment.clientEmail,
+      clientPhone: payment.clientPhone,
+      amount: `${payment.currency} ${payment.amount}`,
+      method: payment.paymentMethod,
+      transactionId: payment.transactionId,
+      verifiedBy: payment.verifiedBy,
+      notes,
+      receiptUrl: payment.receiptImage
+    };
+    sendTemplate('payment_verified_client', { email: payment.clientEmail, phone: payment.clientPhone }, verifiedVars);
+    sendTemplate('payment_verified_admin', { email: ADMIN_EMAIL }, verifiedVars);
 
     res.json({
       success: true,
@@ -359,9 +299,9 @@ exports.verifyPayment = async (req, res) => {
 
   } catch (error) {
     console.error('Verify payment error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to verify payment'
+      error: error.statusCode ? error.message : 'Failed to verify payment'
     });
   }
 };
@@ -391,6 +331,7 @@ exports.rejectPayment = async (req, res) => {
     }
 
     // Update payment
+    const paymentBefore = snapshot(payment);
     payment.status = 'rejected';
     payment.rejectedReason = reason;
     await payment.save();
@@ -398,58 +339,42 @@ exports.rejectPayment = async (req, res) => {
     // Update appointment - FIX: Also cancel the appointment
     const appointment = await Appointment.findById(payment.appointmentId);
     if (appointment) {
+      const appointmentBefore = snapshot(appointment);
       appointment.paymentStatus = 'failed';
       appointment.status = 'cancelled';  // CANCEL the appointment
       await appointment.save();
+      await releaseSlot(appointment);
+      notifyWaitlist(appointment);
+      
+      await recordAudit(req, {
+        action: 'appointment.cancel',
+        target: appointment,
+        before: appointmentBefore,
+        after: snapshot(appointment),
+        metadata: { paymentId: payment._id, reason: 'Payment rejected' }
+      });
     }
+    
+    await recordAudit(req, {
+      action: 'payment.reject',
+      target: payment,
+      before: paymentBefore,
+      after: snapshot(payment),
+      metadata: { reason }
+    });
 
-    // Send rejection email to client
-    sendEmailAndLog(
-      payment.clientEmail,
-      'Payment Verification Issue - MindWell Psychology',
-      'payment_rejected_client',
-      `<p>Dear ${payment.clientName},</p>
-       
-       <p>We encountered an issue with your payment verification.</p>
-       
-       <p><strong>Reason:</strong> ${reason}</p>
-       
-       <p><strong>Payment Details:</strong></p>
-       <p><strong>Amount:</strong> PKR ${payment.amount}</p>
-       <p><strong>Transaction ID:</strong> ${payment.transactionId}</p>
-       
-       <p><strong>Appointment Status:</strong> CANCELLED</p>
-       
-       <p>Please contact us immediately to resolve this issue:</p>
-       <p>📞 Phone: [Your Clinic Phone]</p>
-       <p>✉️ Email: ${ADMIN_EMAIL}</p>
-       
-       <p>Your appointment has been cancelled. Please submit a new payment to reschedule.</p>
-       
-       <p>Best regards,<br>MindWell Psychology</p>`
-    ).catch(err => console.error('Email error:', err));
-
-    // Send notification to admin
-    sendEmailAndLog(
-      ADMIN_EMAIL,
-      '⚠️ Payment Rejected',
-      'payment_rejected_admin',
-      `<p><strong>Payment rejected</strong></p>
-       
-       <p><strong>Client:</strong> ${payment.clientName}</p>
-       <p><strong>Email:</strong> ${payment.clientEmail}</p>
-       <p><strong>Phone:</strong> ${payment.clientPhone}</p>
-       <p><strong>Amount:</strong> PKR ${payment.amount}</p>
-       <p><strong>Transaction ID:</strong> ${payment.transactionId}</p>
-       
-       <p><strong>Rejection Reason:</strong> ${reason}</p>
-       
-       <p><strong>Appointment Action:</strong> CANCELLED</p>
-       
-       <p><a href="${payment.receiptImage}" target="_blank">View Receipt</a></p>
-       
-       <p><strong>Action Required:</strong> Follow up with client regarding the rejection.</p>`
-    ).catch(err => console.error('Email error:', err));
+    // Let the client and the admin know
+    const rejectedVars = {
+      clientName: payment.clientName,
+      clientEmail: payment.clientEmail,
+      clientPhone: payment.clientPhone,
+      amount: `${payment.currency} ${payment.amount}`,
+      transactionId: payment.transactionId,
+      reason,
+      receiptUrl: payment.receiptImage
+    };
+    sendTemplate('payment_rejected_client', { email: payment.clientEmail }, rejectedVars);
+    sendTemplate('payment_rejected_admin', { email: ADMIN_EMAIL }, rejectedVars);
 
     res.json({
       success: true,
@@ -471,51 +396,73 @@ exports.rejectPayment = async (req, res) => {
  * @route   GET /api/payments/methods
  * @access  Public
  */
-exports.getPaymentMethods = (req, res) => {
-  res.json({
-    success: true,
-    data: {
-      methods: [
-        {
-          id: 'easypaisa',
-          name: 'EasyPaisa',
-          instructions: 'Send payment to the following EasyPaisa account:',
-          details: {
-            accountNumber: '0312-3456789',
-            accountName: 'MindWell Psychology',
-            note: 'Include your appointment ID in transaction description'
-          }
-        },
-        {
-          id: 'jazzcash',
-          name: 'JazzCash',
-          instructions: 'Send payment to the following JazzCash account:',
-          details: {
-            accountNumber: '0300-1234567',
-            accountName: 'MindWell Psychology',
-            note: 'Include your appointment ID in transaction description'
-          }
-        },
-        {
-          id: 'bank_transfer',
-          name: 'Bank Transfer',
-          instructions: 'Transfer to the following bank account:',
-          details: {
-            bankName: 'Habib Bank Limited',
-            accountTitle: 'MindWell Psychology',
-            accountNumber: '1234-5678901-2',
-            iban: 'PK00HABB1234567890123',
-            branch: 'Main Branch, Karachi',
-            note: 'Email receipt to payments@mindwell.com after transfer'
-          }
+exports.getPaymentMethods = async (req, res) => {
+  try {
+    const [services, clinic] = await Promise.all([
+      Service.find({ isActive: true })
+        .select('name slug duration prices')
+        .sort({ sortOrder: 1, name: 1 }),
+      ClinicSettings.getSettings()
+    ]);
+
+    const paymentEmail = clinic.paymentEmail || clinic.email;
+    const reference = 'Include your appointment ID in transaction description';
+
+    // Only methods with an account set up in the clinic settings
+    const methods = [
+      clinic.easypaisaNumber && {
+        id: 'easypaisa',
+        name: 'EasyPaisa',
+        instructions: 'Send payment to the following EasyPaisa account:',
+        details: {
+          accountNumber: clinic.easypaisaNumber,
+          accountName: clinic.name,
+          note: reference
+        }
+      },
+      clinic.jazzcashNumber && {
+        id: 'jazzcash',
+        name: 'JazzCash',
+        instructions: 'Send payment to the following JazzCash account:',
+        details: {
+          accountNumber: clinic.jazzcashNumber,
+          accountName: clinic.name,
+          note: reference
+        }
+      },
+      clinic.bankAccountNumber && {
+        id: 'bank_transfer',
+        name: 'Bank Transfer',
+        instructions: 'Transfer to the following bank account:',
+        details: {
+          bankName: clinic.bankName,
+          accountTitle: clinic.bankAccountTitle || clinic.name,
+          accountNumber: clinic.bankAccountNumber,
+          iban: clinic.bankIban,
+          branch: clinic.bankBranch,
+          note: paymentEmail ? `Email receipt to ${paymentEmail} after transfer` : reference
         }
-      ],
-      defaultAmount: 3000,
-      currency: 'PKR',
-      contactInfo: {
-        phone: '+92-312-3456789',
-        email: 'payments@mindwell.com'
       }
-    }
-  });
+    ].filter(Boolean);
+
+    res.json({
+      success: true,
+      data: {
+        methods,
+        // Fees per service; the amount due for a booking is on the appointment
+        services,
+        currency: DEFAULT_CURRENCY,
+        contactInfo: {
+          phone: clinic.paymentPhone || clinic.phone,
+          email: paymentEmail
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payment methods error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment methods'
+    });
+  }
 };
\ No newline at end of file
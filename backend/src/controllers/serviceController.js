@@ -0,0 +1,199 @@
+const Service = require('../models/Service');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+
+// Fields admins may set on a service
+const SERVICE_FIELDS = [
+  'name',
+  'slug',
+  'description',
+  'duration',
+  'bufferMinutes',
+  'prices',
+  'deliveryModes',
+  'isActive',
+  'sortOrder'
+];
+
+const pickServiceFields = (body) => {
+  const fields = {};
+  SERVICE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+// @desc    Get active services
+// @route   GET /api/services
+// @access  Public
+exports.getServices = async (req, res) => {
+  try {
+    const services = await Service.find({ isActive: true })
+      .sort({ sortOrder: 1, name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: services.length,
+      data: services
+    });
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch services'
+    });
+  }
+};
+
+// @desc    Get all services including inactive ones
+// @route   GET /api/services/admin/all
+// @access  Private/Admin
+exports.getAllServices = async (req, res) => {
+  try {
+    const services = await Service.find()
+      .sort({ sortOrder: 1, name: 1 });
+    
+    res.status(200).json({
+      success: true,
+      count: services.length,
+      data: services
+    });
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch services'
+    });
+  }
+};
+
+// @desc    Get single service
+// @route   GET /api/services/:id
+// @access  Public
+exports.getService = async (req, res) => {
+  try {
+    const service = await Service.findById(req.params.id);
+    
+    if (!service || !service.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    console.error('Error fetching service:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create service
+// @route   POST /api/services
+// @access  Private/Admin
+exports.createService = async (req, res) => {
+  try {
+    const service = await Service.create(pickServiceFields(req.body));
+    
+    await recordAudit(req, {
+      action: 'service.create',
+      target: service,
+      after: snapshot(service)
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    console.error('Error creating service:', error);
+    res.status(400).json({
+      success: false,
+      error: error.code === 11000 ? 'A service with this slug already exists' : error.message
+    });
+  }
+};
+
+// @desc    Update service
+// @route   PUT /api/services/:id
+// @access  Private/Admin
+exports.updateService = async (req, res) => {
+  try {
+    const before = snapshot(await Service.findById(req.params.id));
+    const service = await Service.findByIdAndUpdate(
+      req.params.id,
+      pickServiceFields(req.body),
+      { new: true, runValidators: true }
+    );
+    
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found'
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'service.update',
+      target: service,
+      before,
+      after: snapshot(service)
+    });
+    
+    res.status(200).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    console.error('Error updating service:', error);
+    res.status(400).json({
+      success: false,
+      error: error.code === 11000 ? 'A service with this slug already exists' : error.message
+    });
+  }
+};
+
+// @desc    Deactivate service (kept for existing appointments)
+// @route   DELETE /api/services/:id
+// @access  Private/Admin
+exports.deactivateService = async (req, res) => {
+  try {
+    const before = snapshot(await Service.findById(req.params.id));
+    const service = await Service.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+    
+    if (!service) {
+      return res.status(404).json({
+        success: false,
+        error: 'Service not found'
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'service.deactivate',
+      target: service,
+      before,
+      after: snapshot(service)
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Service deactivated successfully',
+      data: service
+    });
+  } catch (error) {
+    console.error('Error deactivating service:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
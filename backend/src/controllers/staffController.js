@@ -0,0 +1,358 @@
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { ROLES, normalizeRole } = require('../config/permissions');
+const { revokeAllSessions } = require('../utils/tokenService');
+const invitationService = require('../utils/invitationService');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+
+// Owners may not lock the clinic out of its own admin panel
+const isLastActiveOwner = async (user) => {
+  if (normalizeRole(user.role) !== 'owner' || !user.isActive) return false;
+  
+  const owners = await User.countDocuments({
+    role: { $in: ['owner', 'admin'] },
+    isActive: { $ne: false }
+  });
+  return owners <= 1;
+};
+
+// @desc    List staff users
+// @route   GET /api/admin/users
+// @access  Private/Owner
+exports.getUsers = async (req, res) => {
+  try {
+    const { role, status } = req.query;
+    const query = {};
+    
+    if (role) query.role = role === 'owner' ? { $in: ['owner', 'admin'] } : String(role);
+    if (status === 'active') query.isActive = { $ne: false };
+    if (status === 'inactive') query.isActive = false;
+    
+    const users = await User.find(query).sort({ createdAt: 1 });
+    
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch users'
+    });
+  }
+};
+
+// @desc    Change a staff member's role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private/Owner
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+    
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    if (role !== 'owner' && await isLastActiveOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The clinic must keep at least one active owner'
+      });
+    }
+    
+    const before = snapshot(user);
+    user.role = role;
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.role',
+      target: user,
+      before,
+      after: snapshot(user)
+    });
+    
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Deactivate a staff member and end their sessions
+// @route   PUT /api/admin/users/:id/deactivate
+// @access  Private/Owner
+exports.deactivateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot deactivate your own account'
+      });
+    }
+    
+    if (await isLastActiveOwner(user)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The clinic must keep at least one active owner'
+      });
+    }
+    
+    const before = snapshot(user);
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    await user.save();
+    await revokeAllSessions(user._id);
+    
+    await recordAudit(req, {
+      action: 'user.deactivate',
+      target: user,
+      before,
+      after: snapshot(user)
+    });
+    
+    res.json({
+      success: true,
+      message: 'User deactivated',
+      data: user
+    });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reactivate a staff member
+// @route   PUT /api/admin/users/:id/activate
+// @access  Private/Owner
+exports.activateUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    const before = snapshot(user);
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+    
+    await recordAudit(req, {
+      action: 'user.activate',
+      target: user,
+      before,
+      after: snapshot(user)
+    });
+    
+    res.json({
+      success: true,
+      message: 'User reactivated',
+      data: user
+    });
+  } catch (error) {
+    console.error('Activate user error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Sign a staff member out of all sessions
+// @route   POST /api/admin/users/:id/revoke-sessions
+// @access  Private/Owner
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    await revokeAllSessions(req.params.id);
+    
+    await recordAudit(req, {
+      action: 'user.revoke-sessions',
+      targetModel: 'User',
+      targetId: req.params.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'All sessions for this user have been revoked'
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a staff member's two-factor setup (e.g. lost phone)
+// @route   POST /api/admin/users/:id/reset-2fa
+// @access  Private/Owner
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(req.params.id, {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorPendingSecret: 1,
+        twoFactorLastStep: 1,
+        recoveryCodes: 1
+      }
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+    
+    // Existing sessions were authenticated with the old factor
+    await revokeAllSessions(user._id);
+    
+    await recordAudit(req, {
+      action: 'user.reset-2fa',
+      target: user,
+      before: { twoFactorEnabled: user.twoFactorEnabled },
+      after: { twoFactorEnabled: false }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset; the user must enrol again'
+    });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Invite a new staff member by email
+// @route   POST /api/admin/invitations
+// @access  Private/Owner
+exports.createInvitation = async (req, res) => {
+  try {
+    const invitation = await invitationService.createInvitation(req.body, req.user);
+    
+    await recordAudit(req, {
+      action: 'invitation.create',
+      target: invitation,
+      after: snapshot(invitation)
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: `Invitation sent to ${invitation.email}`,
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error.message);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    List invitations
+// @route   GET /api/admin/invitations
+// @access  Private/Owner
+exports.getInvitations = async (req, res) => {
+  try {
+    const query = {};
+    const now = new Date();
+    
+    if (req.query.status === 'pending') {
+      Object.assign(query, { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    }
+    
+    const invitations = await Invitation.find(query)
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      count: invitations.length,
+      data: invitations
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch invitations'
+    });
+  }
+};
+
+// @desc    Revoke a pending invitation
+// @route   DELETE /api/admin/invitations/:id
+// @access  Private/Owner
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pending invitation not found'
+      });
+    }
+    
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      target: invitation,
+      after: { revokedAt: invitation.revokedAt }
+    });
+    
+    res.json({
+      success: true,
+      message: 'Invitation revoked',
+      data: invitation
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
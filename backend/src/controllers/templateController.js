@@ -0,0 +1,190 @@
+const ClinicSettings = require('../models/ClinicSettings');
+const templateService = require('../utils/templateService');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+
+// What the audit log keeps of a template (not its whole history)
+const auditView = (template) => template && {
+  subject: template.subject,
+  html: template.html,
+  text: template.text,
+  sms: template.sms,
+  version: template.version
+};
+
+// @desc    List message templates
+// @route   GET /api/admin/templates
+// @access  Private/Owner
+exports.getTemplates = async (req, res) => {
+  try {
+    const templates = await templateService.listTemplates();
+
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a message template with its earlier versions
+// @route   GET /api/admin/templates/:key
+// @access  Private/Owner
+exports.getTemplate = async (req, res) => {
+  try {
+    const template = await templateService.getTemplate(req.params.key);
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Edit a message template (saved as a new version)
+// @route   PUT /api/admin/templates/:key
+// @access  Private/Owner
+exports.updateTemplate = async (req, res) => {
+  try {
+    const before = await templateService.getTemplate(req.params.key);
+    const template = await templateService.updateTemplate(req.params.key, req.body, req.user);
+
+    await recordAudit(req, {
+      action: 'message-template.update',
+      target: template,
+      before: auditView(before),
+      after: auditView(template)
+    });
+
+    res.json({
+      success: true,
+      data: await templateService.getTemplate(req.params.key)
+    });
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore an earlier version, or the built-in content without one
+// @route   POST /api/admin/templates/:key/restore
+// @access  Private/Owner
+exports.restoreTemplate = async (req, res) => {
+  try {
+    const { version } = req.body;
+    const before = await templateService.getTemplate(req.params.key);
+    const template = await templateService.restoreTemplate(req.params.key, version, req.user);
+
+    await recordAudit(req, {
+      action: 'message-template.restore',
+      target: template,
+      before: auditView(before),
+      after: auditView(template),
+      metadata: { restoredVersion: version === undefined ? 'built-in' : version }
+    });
+
+    res.json({
+      success: true,
+      data: await templateService.getTemplate(req.params.key)
+    });
+  } catch (error) {
+    console.error('Restore template error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Render a template with sample data, optionally with unsaved edits
+// @route   POST /api/admin/templates/:key/preview
+// @access  Private/Owner
+exports.previewTemplate = async (req, res) => {
+  try {
+    const { subject, html, text, sms, variables } = req.body;
+    const preview = await templateService.previewTemplate(
+      req.params.key,
+      { subject, html, text, sms },
+      variables || {}
+    );
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Preview template error:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the clinic details used in messages and payment instructions
+// @route   GET /api/admin/clinic-settings
+// @access  Private/Owner
+exports.getClinicSettings = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await ClinicSettings.getSettings()
+    });
+  } catch (error) {
+    console.error('Get clinic settings error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update the clinic details used in messages and payment instructions.
+//          An empty string clears a field; null resets it to the default.
+// @route   PUT /api/admin/clinic-settings
+// @access  Private/Owner
+exports.updateClinicSettings = async (req, res) => {
+  try {
+    const settings = await ClinicSettings.findOne({ key: 'clinic' }) || new ClinicSettings();
+    const before = snapshot(settings);
+
+    ClinicSettings.FIELDS.forEach(field => {
+      if (req.body[field] === null) settings[field] = undefined;
+      else if (req.body[field] !== undefined) settings[field] = req.body[field];
+    });
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    await recordAudit(req, {
+      action: 'clinic-settings.update',
+      target: settings,
+      before,
+      after: snapshot(settings)
+    });
+
+    res.json({
+      success: true,
+      data: await ClinicSettings.getSettings()
+    });
+  } catch (error) {
+    console.error('Update clinic settings error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,239 @@
+const Waitlist = require('../models/Waitlist');
+const availabilityService = require('../utils/availabilityService');
+const waitlistService = require('../utils/waitlistService');
+const { ADMIN_EMAIL, sendTemplate, getAppointmentVars } = require('../utils/notifications');
+const { getDayRange } = require('../utils/helpers');
+const { snapshot, recordAudit } = require('../utils/auditLog');
+
+// Offer details shown to the client
+const describeOffer = (entry) => {
+  const offer = waitlistService.getPendingOffer(entry);
+  return {
+    clientName: entry.clientName,
+    serviceType: entry.serviceType,
+    status: entry.status,
+    offer: offer ? {
+      appointmentDate: offer.appointmentDate,
+      appointmentTime: offer.appointmentTime,
+      expiresAt: offer.expiresAt
+    } : null
+  };
+};
+
+// @desc    Join the waitlist
+// @route   POST /api/waitlist
+// @access  Public
+exports.joinWaitlist = async (req, res) => {
+  try {
+    const { clientName, email, phone, serviceType, startDate, endDate, message } = req.body;
+    
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide a start and end date'
+      });
+    }
+    
+    if (getDayRange(endDate).start < getDayRange(new Date()).start) {
+      return res.status(400).json({
+        success: false,
+        error: 'The date range must not be in the past'
+      });
+    }
+    
+    const service = await availabilityService.getBookableService(serviceType);
+    
+    const entry = await Waitlist.create({
+      clientName,
+      email,
+      phone,
+      serviceType: service.slug,
+      startDate: getDayRange(startDate).start,
+      endDate: getDayRange(endDate).start,
+      message
+    });
+    
+    sendTemplate('waitlist_joined_client', { email: entry.email }, {
+      clientName: entry.clientName,
+      service: service.name,
+      startDate: entry.startDate.toDateString(),
+      endDate: entry.endDate.toDateString()
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Added to the waitlist. We will email you if a slot opens up.',
+      data: {
+        id: entry._id,
+        serviceType: entry.serviceType,
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        status: entry.status
+      }
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    View a waitlist offer
+// @route   GET /api/waitlist/offers/:token
+// @access  Public (signed link)
+exports.getOffer = async (req, res) => {
+  try {
+    const entry = await waitlistService.findEntryByOfferToken(req.params.token);
+    
+    res.status(200).json({
+      success: true,
+      data: describeOffer(entry)
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist offer:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept a waitlist offer and book the held slot
+// @route   POST /api/waitlist/offers/:token/accept
+// @access  Public (signed link)
+exports.acceptOffer = async (req, res) => {
+  try {
+    const entry = await waitlistService.findEntryByOfferToken(req.params.token);
+    const appointment = await waitlistService.acceptOffer(entry);
+    
+    sendTemplate('appointment_client', { email: appointment.email },
+      getAppointmentVars(appointment, { links: true }));
+    
+    sendTemplate('appointment_admin', { email: ADMIN_EMAIL },
+      { ...getAppointmentVars(appointment), fromWaitlist: true });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Appointment booked from the waitlist',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Error accepting waitlist offer:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Decline a waitlist offer (stays on the waitlist)
+// @route   POST /api/waitlist/offers/:token/decline
+// @access  Public (signed link)
+exports.declineOffer = async (req, res) => {
+  try {
+    const entry = await waitlistService.findEntryByOfferToken(req.params.token);
+    const updated = await waitlistService.closeOffer(entry, 'declined');
+    
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'This offer is no longer available'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      message: 'Offer declined. You remain on the waitlist.'
+    });
+  } catch (error) {
+    console.error('Error declining waitlist offer:', error);
+    res.status(error.statusCode || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get waitlist entries
+// @route   GET /api/waitlist
+// @access  Private/Admin
+exports.getWaitlist = async (req, res) => {
+  try {
+    const { status, serviceType } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    
+    const query = {};
+    if (status && status !== 'all') query.status = String(status);
+    if (serviceType) query.serviceType = String(serviceType);
+    
+    const entries = await Waitlist.find(query)
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    
+    const total = await Waitlist.countDocuments(query);
+    
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove an entry from the waitlist
+// @route   PUT /api/waitlist/:id/cancel
+// @access  Private/Admin
+exports.cancelEntry = async (req, res) => {
+  try {
+    let entry = await Waitlist.findById(req.params.id);
+    
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Waitlist entry not found'
+      });
+    }
+    
+    const before = snapshot(entry);
+    
+    // Pass any held slot on before removing the entry
+    if (entry.status === 'offered') {
+      entry = await waitlistService.closeOffer(entry, 'declined') || entry;
+    }
+    
+    entry.status = 'cancelled';
+    await entry.save();
+    
+    await recordAudit(req, {
+      action: 'waitlist.cancel',
+      target: entry,
+      before,
+      after: snapshot(entry)
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: 'Waitlist entry cancelled',
+      data: entry
+    });
+  } catch (error) {
+    console.error('Error cancelling waitlist entry:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,112 @@
+const { sendDueReminders } = require('../utils/reminderService');
+const { expireWaitlist } = require('../utils/waitlistService');
+const { processOutbox } = require('../utils/outboxService');
+const { publishDuePosts } = require('../utils/blogService');
+
+/**
+ * Scheduled jobs
+ *
+ * Each job resolves to a summary of what it did. They run in-process
+ * (startJobs, called by src/server.js) or on Vercel through
+ * GET /api/cron/<name>, triggered by the crons in vercel.json.
+ *
+ * Run standalone with: npm run jobs
+ */
+const interval = (variable, fallback) => parseInt(process.env[variable]) || fallback;
+
+const JOBS = {
+  // Due 24h and 2h appointment reminders
+  reminders: {
+    minutes: interval('REMINDER_INTERVAL_MINUTES', 10),
+    run: async () => {
+      const result = await sendDueReminders();
+      if (result.sent.length > 0) {
+        console.log(`⏰ Sent ${result.sent.length} appointment reminder(s)`);
+      }
+      return result;
+    }
+  },
+
+  // Lapsed waitlist offers (passing the slot to the next client) and
+  // entries whose date range has ended
+  waitlist: {
+    minutes: interval('WAITLIST_INTERVAL_MINUTES', 5),
+    run: async () => {
+      const result = await expireWaitlist();
+      if (result.offersExpired > 0) {
+        console.log(`📋 Expired ${result.offersExpired} waitlist offer(s)`);
+      }
+      return result;
+    }
+  },
+
+  // Queued emails/SMS, and retries of failed ones with backoff
+  outbox: {
+    minutes: interval('OUTBOX_INTERVAL_MINUTES', 1),
+    run: async () => {
+      const result = await processOutbox();
+      if (result.sent + result.retrying + result.failed > 0) {
+        console.log(`📬 Outbox: ${result.sent} sent, ${result.retrying} retrying, ${result.failed} failed`);
+      }
+      return result;
+    }
+  },
+
+  // Scheduled blog posts whose publishedAt has passed
+  blog: {
+    minutes: interval('BLOG_INTERVAL_MINUTES', 5),
+    run: async () => {
+      const result = await publishDuePosts();
+      if (result.published > 0) {
+        console.log(`📰 Published ${result.published} scheduled blog post(s)`);
+      }
+      return result;
+    }
+  }
+};
+
+/**
+ * Run a job once. Failures are logged, not thrown, so one bad run does
+ * not stop the schedule. Resolves to the job's result, or null.
+ */
+const runJob = async (name, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`❌ ${name} job failed:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Run a job now and then every `minutes`. Returns the timer.
+ */
+const startJob = (name, fn, minutes) => {
+  console.log(`🕒 ${name} job running every ${minutes} minute(s)`);
+  runJob(name, fn);
+  return setInterval(() => runJob(name, fn), minutes * 60 * 1000);
+};
+
+const startJobs = () => {
+  return Object.entries(JOBS).map(([name, job]) => startJob(name, job.run, job.minutes));
+};
+
+module.exports = {
+  JOBS,
+  startJobs
+};
+
+if (require.main === module) {
+  require('dotenv').config();
+  const mongoose = require('mongoose');
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log('✅ Connected to MongoDB');
+      startJobs();
+    })
+    .catch(err => {
+      console.error('❌ MongoDB Error:', err);
+      process.exit(1);
+    });
+}
@@ -1,5 +1,7 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken } = require('../utils/tokenService');
+const { REQUIRE_TWO_FACTOR } = require('../config/auth');
+const { normalizeRole, hasPermission } = require('../config/permissions');
 
 exports.protect = async (req, res, next) => {
   try {
@@ -18,11 +20,19 @@ exports.protect = async (req, res, next) => {
     }
     
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
     
     // Get user from token
     req.user = await User.findById(decoded.id);
     
+    // Tokens from before a password change or sign-out-all are void
+    if (!req.user || !req.user.isActive || (decoded.v || 0) !== (req.user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Not authorized to access this route'
+      });
+    }
+    
     next();
   } catch (error) {
     console.error('Auth error:', error);
@@ -33,12 +43,44 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// With REQUIRE_TWO_FACTOR, staff who have not enrolled may only reach
+// routes behind plain `protect` (their profile, password and 2FA setup)
+const twoFactorMissing = (req, res) => {
+  if (REQUIRE_TWO_FACTOR && req.user && !req.user.twoFactorEnabled) {
+    res.status(403).json({
+      success: false,
+      error: 'Two-factor authentication must be enabled to access this route',
+      twoFactorSetupRequired: true
+    });
+    return true;
+  }
+  return false;
+};
+
 exports.authorize = (...roles) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (twoFactorMissing(req, res)) return;
+    if (!req.user || !roles.map(normalizeRole).includes(normalizeRole(req.user.role))) {
+      return res.status(403).json({
+        success: false,
+        error: `User role ${req.user?.role} is not authorized to access this route`
+      });
+    }
+    next();
+  };
+};
+
+// Check the permission matrix in config/permissions.js
+exports.requirePermission = (permission) => {
+  // Fail at startup on a typo rather than on the first request
+  hasPermission('owner', permission);
+
+  return (req, res, next) => {
+    if (twoFactorMissing(req, res)) return;
+    if (!req.user || !hasPermission(req.user.role, permission)) {
       return res.status(403).json({
         success: false,
-        error: `User role ${req.user.role} is not authorized to access this route`
+        error: `User role ${req.user?.role} is not authorized to access this route`
       });
     }
     next();
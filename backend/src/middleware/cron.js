@@ -0,0 +1,16 @@
+/**
+ * Guard for scheduled-job endpoints.
+ * Vercel Cron sends "Authorization: Bearer <CRON_SECRET>".
+ */
+exports.requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized to run scheduled jobs'
+    });
+  }
+  
+  next();
+};
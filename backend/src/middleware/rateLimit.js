@@ -0,0 +1,45 @@
+const rateLimit = require('express-rate-limit');
+
+/**
+ * Per-IP limits for public endpoints that accept guesses (passwords,
+ * two-factor codes, reset requests). They add to the per-account lockout
+ * in the User model. Counters live in memory, so each server (or warm
+ * serverless instance) keeps its own.
+ */
+
+const MINUTE = 60 * 1000;
+
+const createLimiter = ({ windowMs, max, message, ...options }) => rateLimit({
+  windowMs,
+  max,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    error: message
+  },
+  ...options
+});
+
+// Failed sign-ins only, so a shared office IP is not locked out by its own users
+exports.loginLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: 'Too many failed sign-in attempts, please try again in 15 minutes'
+});
+
+// A 6-digit code needs a tighter limit than a password
+exports.twoFactorLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: 5,
+  skipSuccessfulRequests: true,
+  message: 'Too many invalid authentication codes, please try again in 15 minutes'
+});
+
+// Every request counts: each one sends an email
+exports.passwordResetLimiter = createLimiter({
+  windowMs: 60 * MINUTE,
+  max: 5,
+  message: 'Too many password reset requests, please try again in an hour'
+});
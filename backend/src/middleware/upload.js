@@ -0,0 +1,77 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * File uploads
+ *
+ * Files land in uploads/ first; controllers push them to Cloudinary
+ * (utils/cloudinary.js), which removes the local copy.
+ */
+
+// Ensure uploads directory exists
+const uploadDir = path.join(__dirname, '../../uploads');
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/jpg'];
+const RECEIPT_TYPES = [...IMAGE_TYPES, 'application/pdf'];
+const COVER_IMAGE_TYPES = [...IMAGE_TYPES, 'image/gif'];
+
+const createUpload = ({ prefix, allowedTypes, maxSize }) => {
+  const storage = multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, uploadDir);
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      const ext = path.extname(file.originalname).toLowerCase();
+      cb(null, `${prefix}-${uniqueSuffix}${ext}`);
+    }
+  });
+
+  const fileFilter = (req, file, cb) => {
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed: ${allowedTypes.join(', ')}`), false);
+    }
+  };
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: { fileSize: maxSize }
+  });
+};
+
+// Bad files are the client's mistake: answer 400 rather than a server error
+const single = (upload, field) => (req, res, next) => {
+  upload.single(field)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        error: err.code === 'LIMIT_FILE_SIZE' ? 'File too large' : err.message
+      });
+    }
+    next();
+  });
+};
+
+// Payment receipt, field "receipt" (10MB)
+const uploadReceipt = single(
+  createUpload({ prefix: 'receipt', allowedTypes: RECEIPT_TYPES, maxSize: 10 * 1024 * 1024 }),
+  'receipt'
+);
+
+// Blog cover image, field "coverImage" (5MB)
+const uploadCoverImage = single(
+  createUpload({ prefix: 'cover', allowedTypes: COVER_IMAGE_TYPES, maxSize: 5 * 1024 * 1024 }),
+  'coverImage'
+);
+
+module.exports = {
+  uploadReceipt,
+  uploadCoverImage
+};
@@ -27,12 +27,32 @@ const appointmentSchema = new mongoose.Schema({
   appointmentTime: {
     type: String,
     required: [true, 'Please provide appointment time'],
-    enum: ['09:00', '10:00', '11:00', '14:00', '15:00', '16:00']
+    match: [/^([01][0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format. Use HH:MM (24-hour)']
   },
+  // Slug of the booked Service (kept alongside the reference for display and filtering)
   serviceType: {
     type: String,
     required: [true, 'Please select service type'],
-    enum: ['individual', 'couple', 'family', 'adolescent', 'assessment']
+    lowercase: true,
+    trim: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  deliveryMode: {
+    type: String,
+    enum: ['online', 'in-person']
+  },
+  // Session length and buffer in minutes, copied from the service at booking time
+  duration: {
+    type: Number,
+    min: [1, 'Duration must be at least 1 minute']
+  },
+  bufferMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
   },
   message: {
     type: String,
@@ -55,10 +75,31 @@ const appointmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   },
+  // Fee copied from the service price at booking time
   amount: {
     type: Number,
-    default: 3000 // Default fee in PKR
+    min: [0, 'Amount cannot be negative']
+  },
+  currency: {
+    type: String,
+    enum: ['PKR', 'USD'],
+    default: 'PKR'
   },
+  // Reminders already sent for the current date/time (cleared on reschedule)
+  remindersSent: [{
+    kind: {
+      type: String,
+      enum: ['24h', '2h'],
+      required: true
+    },
+    // Whether each channel was queued in the outbox
+    email: Boolean,
+    sms: Boolean,
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   adminNotes: {
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters'],
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditLog Model
+ * 
+ * Append-only record of admin actions. Entries are written through
+ * utils/auditLog.js and can never be edited or removed through the app:
+ * every update/delete query on this model is rejected.
+ */
+const auditLogSchema = new mongoose.Schema({
+  // Who did it (copied, so the entry survives user changes)
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String,
+    role: String
+  },
+  
+  // e.g. 'appointment.update', 'payment.verify', 'user.deactivate'
+  action: {
+    type: String,
+    required: true
+  },
+  
+  targetModel: {
+    type: String,
+    required: true
+  },
+  
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  
+  // Changed fields only: [{ field, before, after }]
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  
+  // Extra context, e.g. a rejection reason or the dates of a bulk update
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  
+  ip: String,
+  userAgent: String,
+  
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const rejectChange = function(next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  auditLogSchema.pre(operation, rejectChange);
+});
+
+// Document-level deleteOne()
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
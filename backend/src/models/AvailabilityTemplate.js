@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { timeToMinutes } = require('../utils/helpers');
+
+const TIME_FORMAT = [/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format. Use HH:MM (24-hour)'];
+
+/**
+ * AvailabilityTemplate Model
+ * 
+ * Recurring weekly working hours (e.g. Mon/Wed 09:00-13:00, Thu 14:00-18:00)
+ * valid between effectiveFrom and effectiveTo.
+ * Per-date CalendarSettings override the template for a single day.
+ */
+const availabilityTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  
+  // Working hours per weekday (0 = Sunday, 6 = Saturday)
+  // Days without an entry are closed
+  weeklyHours: [{
+    dayOfWeek: {
+      type: Number,
+      required: [true, 'Day of week is required'],
+      min: 0,
+      max: 6
+    },
+    start: {
+      type: String,
+      required: [true, 'Start time is required'],
+      match: TIME_FORMAT
+    },
+    end: {
+      type: String,
+      required: [true, 'End time is required'],
+      match: TIME_FORMAT
+    }
+  }],
+  
+  // First day the template applies
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required']
+  },
+  
+  // Last day the template applies (open-ended if not set)
+  effectiveTo: {
+    type: Date
+  },
+  
+  // Maximum appointments per day while this template applies
+  maxAppointments: {
+    type: Number,
+    min: 1,
+    default: 8
+  },
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// End times must come after start times, and the range must be ordered
+availabilityTemplateSchema.pre('validate', function(next) {
+  const invalidHours = this.weeklyHours.find(slot =>
+    slot.start && slot.end && timeToMinutes(slot.end) <= timeToMinutes(slot.start)
+  );
+  if (invalidHours) {
+    this.invalidate('weeklyHours', 'End time must be after start time');
+  }
+  
+  if (this.effectiveTo && this.effectiveFrom && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to date must be after effective from date');
+  }
+  
+  next();
+});
+
+availabilityTemplateSchema.index({ isActive: 1, effectiveFrom: 1, effectiveTo: 1 });
+
+module.exports = mongoose.model('AvailabilityTemplate', availabilityTemplateSchema);
@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { renderMarkdown } = require('../utils/markdown');
+
+// Taken by /api/blogs routes, so never used as post slugs
+const RESERVED_SLUGS = ['admin', 'search'];
+
+const slugify = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -14,15 +23,34 @@ const blogSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Set by an admin rather than built from the title
+  customSlug: {
+    type: Boolean,
+    default: false
+  },
+  // Earlier slugs, which redirect to the current one
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
   excerpt: {
     type: String,
     required: [true, 'Please provide excerpt'],
     maxlength: [300, 'Excerpt cannot exceed 300 characters']
   },
+  // Markdown source, written by the author
   content: {
     type: String,
     required: [true, 'Please provide blog content']
   },
+  // Rendered from content on save: sanitised HTML and its headings
+  contentHtml: String,
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
   coverImage: {
     url: String,
     publicId: String
@@ -40,13 +68,17 @@ const blogSchema = new mongoose.Schema({
     enum: ['anxiety', 'depression', 'relationships', 'parenting', 'stress', 'self-care', 'trauma', 'general'],
     default: 'general'
   },
+  // Minutes, computed from content
   readTime: {
     type: Number,
-    default: 5
+    default: 1
   },
-  isPublished: {
-    type: Boolean,
-    default: true
+  // draft -> review -> scheduled/published. Only published posts (and
+  // scheduled ones whose publishedAt has passed) are public.
+  status: {
+    type: String,
+    enum: ['draft', 'review', 'scheduled', 'published'],
+    default: 'draft'
   },
   views: {
     type: Number,
@@ -55,29 +87,85 @@ const blogSchema = new mongoose.Schema({
   seoTitle: String,
   seoDescription: String,
   seoKeywords: [String],
-  publishedAt: {
-    type: Date,
-    default: Date.now
-  }
+  // When the post went (or goes) live
+  publishedAt: Date
 }, {
   timestamps: true
 });
 
-// Create slug from title
-blogSchema.pre('save', function(next) {
-  if (this.isModified('title')) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9]/g, '-')
-      .replace(/-+/g, '-')
-      .replace(/^-|-$/g, '');
+// Slug as loaded, to notice when it changes
+blogSchema.post('init', function() {
+  this.$locals.loadedSlug = this.slug;
+});
+
+// Build the slug (before validation, which requires it) from the title,
+// or tidy a custom one; add -2, -3... when it is taken
+blogSchema.pre('validate', async function() {
+  if (!this.isNew && !this.isModified('title') && !this.isModified('slug') && !this.isModified('customSlug')) {
+    return;
+  }
+
+  const base = this.customSlug ? slugify(this.slug) : slugify(this.title) || 'post';
+  if (!base) {
+    this.invalidate('slug', 'Slug must contain letters or numbers');
+    return;
+  }
+
+  this.slug = await this.constructor.findAvailableSlug(base, this._id);
+
+  // Old links keep working; a post may take back one of its own old slugs
+  const loaded = this.$locals.loadedSlug;
+  const previous = this.previousSlugs.filter(slug => slug !== this.slug);
+  if (loaded && loaded !== this.slug && !previous.includes(loaded)) {
+    previous.push(loaded);
+  }
+  this.previousSlugs = previous;
+});
+
+// Render the Markdown; unsafe content fails validation
+blogSchema.pre('validate', function(next) {
+  if (this.isModified('content') || !this.contentHtml) {
+    try {
+      const rendered = renderMarkdown(this.content);
+      this.contentHtml = rendered.html;
+      this.toc = rendered.toc;
+      this.readTime = rendered.readTime;
+    } catch (error) {
+      this.invalidate('content', error.message);
+    }
   }
   next();
 });
 
+/**
+ * `base`, or the first of base-2, base-3... not used (now or previously)
+ * by another post
+ */
+blogSchema.statics.findAvailableSlug = async function(base, excludeId) {
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const posts = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }]
+  }).select('slug previousSlugs').lean();
+
+  const taken = new Set(RESERVED_SLUGS);
+  posts.forEach(post => {
+    taken.add(post.slug);
+    (post.previousSlugs || []).forEach(slug => taken.add(slug));
+  });
+
+  let slug = base;
+  for (let n = 2; taken.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  return slug;
+};
+
 // Index for search optimization
 blogSchema.index({ title: 'text', content: 'text', tags: 'text' });
 blogSchema.index({ category: 1, publishedAt: -1 });
+blogSchema.index({ status: 1, publishedAt: -1 });
 blogSchema.index({ slug: 1 });
+blogSchema.index({ previousSlugs: 1 });
 
 module.exports = mongoose.model('Blog', blogSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * BlogRevision Model
+ *
+ * A copy of a blog post's content taken every time it is created, edited
+ * or restored, numbered per post. Publishing state is not part of a
+ * revision; that history lives in the audit log.
+ */
+const blogRevisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+
+  // 1, 2, 3... per post
+  version: {
+    type: Number,
+    required: true
+  },
+
+  title: String,
+  excerpt: String,
+  content: String,
+  author: String,
+  tags: [String],
+  category: String,
+  coverImage: {
+    url: String,
+    publicId: String
+  },
+  seoTitle: String,
+  seoDescription: String,
+  seoKeywords: [String],
+
+  action: {
+    type: String,
+    enum: ['create', 'update', 'restore'],
+    default: 'update'
+  },
+
+  // Version brought back by a restore
+  restoredFrom: Number,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+blogRevisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('BlogRevision', blogRevisionSchema);
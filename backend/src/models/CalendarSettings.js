@@ -32,7 +32,7 @@ const calendarSettingsSchema = new mongoose.Schema({
   },
   
   // Custom working hours for this specific day
-  // If empty, uses default hours (9AM-6PM)
+  // If empty, uses the weekly template or default hours (config/sessions.js)
   customHours: [{
     start: {
       type: String, // Format: "HH:MM" 24-hour
@@ -45,10 +45,10 @@ const calendarSettingsSchema = new mongoose.Schema({
   }],
   
   // Maximum appointments allowed on this day
+  // If unset, uses the weekly template's or the default cap
   maxAppointments: {
     type: Number,
-    min: 1,
-    default: 8 // Default: 8 appointments per day
+    min: 1
   },
   
   // Metadata
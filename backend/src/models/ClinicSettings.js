@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const { FRONTEND_URL } = require('../config/clinic');
+
+/**
+ * ClinicSettings Model
+ *
+ * Contact details and signature shared by every email and SMS template
+ * (available there as {{clinic.phone}}, {{clinic.signature}}...), and the
+ * accounts clients pay into. There is a single document; fields never
+ * set (or reset with null) fall back to the environment defaults below,
+ * while a field saved empty stays empty, e.g. to stop offering an account.
+ */
+const DEFAULTS = {
+  name: process.env.CLINIC_NAME || 'MindWell Psychology',
+  phone: process.env.CLINIC_PHONE || '',
+  email: process.env.CLINIC_EMAIL || process.env.EMAIL_USER || '',
+  address: process.env.CLINIC_ADDRESS || '',
+  website: FRONTEND_URL,
+  signature: `Best regards,\n${process.env.CLINIC_NAME || 'MindWell Psychology'}`,
+  // Payment accounts; a method without an account number is not offered
+  paymentEmail: process.env.PAYMENT_EMAIL || '',
+  paymentPhone: process.env.PAYMENT_PHONE || '',
+  easypaisaNumber: process.env.EASYPAISA_NUMBER || '',
+  jazzcashNumber: process.env.JAZZCASH_NUMBER || '',
+  bankName: process.env.BANK_NAME || '',
+  bankAccountTitle: process.env.BANK_ACCOUNT_TITLE || '',
+  bankAccountNumber: process.env.BANK_ACCOUNT_NUMBER || '',
+  bankIban: process.env.BANK_IBAN || '',
+  bankBranch: process.env.BANK_BRANCH || ''
+};
+
+const accountField = (label) => ({
+  type: String,
+  trim: true,
+  maxlength: [100, `${label} cannot exceed 100 characters`]
+});
+
+const clinicSettingsSchema = new mongoose.Schema({
+  // Always 'clinic'; keeps the collection to one document
+  key: {
+    type: String,
+    default: 'clinic',
+    enum: ['clinic'],
+    unique: true,
+    immutable: true
+  },
+
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  phone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Phone cannot exceed 30 characters']
+  },
+
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^$|^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Address cannot exceed 300 characters']
+  },
+
+  website: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Website cannot exceed 200 characters']
+  },
+
+  // Closing lines of client emails; line breaks are kept
+  signature: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Signature cannot exceed 500 characters']
+  },
+
+  // Where clients send receipts and payment questions (default: email/phone)
+  paymentEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^$|^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid payment email'
+    ]
+  },
+
+  paymentPhone: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Payment phone cannot exceed 30 characters']
+  },
+
+  easypaisaNumber: accountField('EasyPaisa number'),
+  jazzcashNumber: accountField('JazzCash number'),
+  bankName: accountField('Bank name'),
+  bankAccountTitle: accountField('Account title'),
+  bankAccountNumber: accountField('Account number'),
+  bankIban: accountField('IBAN'),
+  bankBranch: accountField('Branch'),
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+clinicSettingsSchema.statics.FIELDS = Object.keys(DEFAULTS);
+
+/**
+ * Effective settings: stored values (empty ones included) over the defaults
+ */
+clinicSettingsSchema.statics.getSettings = async function() {
+  const stored = await this.findOne({ key: 'clinic' }).lean();
+  const settings = { ...DEFAULTS };
+
+  for (const field of Object.keys(DEFAULTS)) {
+    if (stored && stored[field] !== undefined && stored[field] !== null) {
+      settings[field] = stored[field];
+    }
+  }
+  return settings;
+};
+
+module.exports = mongoose.model('ClinicSettings', clinicSettingsSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * EmailLog Model
+ * 
+ * One document per outgoing notification (email or SMS) and its outcome.
+ * Entries are removed automatically EMAIL_LOG_RETENTION_DAYS after they
+ * are logged.
+ */
+const RETENTION_DAYS = parseInt(process.env.EMAIL_LOG_RETENTION_DAYS) || 90;
+
+const emailLogSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    default: 'email'
+  },
+  
+  // Recipient address or phone number
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  
+  subject: {
+    type: String
+  },
+  
+  // What the message was, e.g. 'appointment_client', 'reminder_24h'
+  type: {
+    type: String,
+    default: 'generic'
+  },
+  
+  status: {
+    type: String,
+    enum: ['sent', 'skipped', 'failed'],
+    default: 'sent'
+  },
+  
+  // Start of the message body, for support questions
+  preview: {
+    type: String,
+    maxlength: 500
+  },
+  
+  error: {
+    type: String
+  },
+  
+  messageId: {
+    type: String
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // When MongoDB deletes the entry (TTL index below)
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+});
+
+emailLogSchema.index({ createdAt: -1 });
+emailLogSchema.index({ to: 1, createdAt: -1 });
+emailLogSchema.index({ type: 1, createdAt: -1 });
+emailLogSchema.index({ status: 1, createdAt: -1 });
+
+// Retention: MongoDB deletes each entry once its expiresAt has passed.
+// The date is stored per entry rather than in the index options, which
+// MongoDB keeps as first created; a new EMAIL_LOG_RETENTION_DAYS applies
+// to entries logged after the change.
+emailLogSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
+
+/**
+ * Invitation Model
+ * 
+ * Staff accounts are created only by accepting an invitation sent by
+ * an owner. The emailed token is single-use and only its SHA-256 hash
+ * is stored.
+ */
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Please provide email'],
+    lowercase: true,
+    trim: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+  
+  role: {
+    type: String,
+    enum: ROLES,
+    required: [true, 'Please provide role']
+  },
+  
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  acceptedAt: Date,
+  revokedAt: Date,
+  
+  // Account created from this invitation
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
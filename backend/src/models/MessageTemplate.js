@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * MessageTemplate Model
+ *
+ * An admin's edited version of one of the built-in message templates
+ * (config/messageTemplates.js). Templates without a document here are
+ * sent with the built-in content. Every save keeps the previous content
+ * in `versions` so it can be restored.
+ */
+const contentFields = {
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+
+  html: {
+    type: String,
+    maxlength: [20000, 'HTML cannot exceed 20000 characters']
+  },
+
+  // Plain-text email body; derived from the HTML when empty
+  text: {
+    type: String,
+    maxlength: [20000, 'Text cannot exceed 20000 characters']
+  },
+
+  sms: {
+    type: String,
+    trim: true,
+    maxlength: [480, 'SMS cannot exceed 480 characters']
+  }
+};
+
+const versionSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true
+  },
+  ...contentFields,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: Date
+}, { _id: false });
+
+const messageTemplateSchema = new mongoose.Schema({
+  // Matches a key in config/messageTemplates.js, e.g. 'appointment_client'
+  key: {
+    type: String,
+    required: [true, 'Template key is required'],
+    unique: true,
+    trim: true
+  },
+
+  ...contentFields,
+
+  version: {
+    type: Number,
+    default: 1
+  },
+
+  // Earlier content, oldest first
+  versions: [versionSchema],
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('MessageTemplate', messageTemplateSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+/**
+ * OutboxMessage Model
+ * 
+ * Durable queue of outgoing emails and SMS. Request handlers only insert
+ * here; utils/outboxService.js delivers with retries and exponential
+ * backoff. Messages that exhaust their attempts stay as `failed` until
+ * an admin retries them.
+ */
+const outboxMessageSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: ['email', 'sms'],
+    default: 'email'
+  },
+  
+  to: {
+    type: String,
+    required: [true, 'Recipient is required'],
+    trim: true
+  },
+  
+  subject: String,
+  
+  // HTML for email, plain text for SMS
+  body: {
+    type: String,
+    required: [true, 'Message body is required']
+  },
+  
+  // Plain-text alternative for email; derived from the HTML when empty
+  text: String,
+  
+  // e.g. 'appointment_client', 'appointment_reminder_24h'
+  type: {
+    type: String,
+    default: 'generic'
+  },
+  
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'skipped', 'failed'],
+    default: 'pending'
+  },
+  
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  
+  // A worker's claim on a `processing` message; after this it is retried
+  lockedUntil: Date,
+  
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ status: 1, createdAt: -1 });
+
+// Delivered messages are kept for a month; failed ones until handled
+outboxMessageSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
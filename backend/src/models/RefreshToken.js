@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * RefreshToken Model
+ * 
+ * Server-side record of a login session. Only the SHA-256 hash of the
+ * token is stored. Each refresh revokes the presented token and issues
+ * a new one in the same family; presenting a revoked token again means
+ * it was stolen, so the whole family is revoked.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // Shared by all tokens descended from one login
+  family: {
+    type: String,
+    required: true
+  },
+  
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  
+  revokedAt: {
+    type: Date
+  },
+  
+  // Why the token was revoked: rotated, logout, reuse, revoke-all
+  revokedReason: {
+    type: String
+  },
+  
+  ip: String,
+  userAgent: String,
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// MongoDB removes expired sessions
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
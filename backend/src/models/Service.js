@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { DEFAULT_SERVICES } = require('../config/sessions');
+
+/**
+ * Service Model
+ * 
+ * Catalogue of bookable services (individual session, couple session, assessment...).
+ * Appointments reference a service by its slug (Appointment.serviceType) and copy
+ * its duration, buffer and price at booking time.
+ */
+const serviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  
+  // Stable key used by clients and stored on appointments (e.g. "individual")
+  slug: {
+    type: String,
+    required: [true, 'Service slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  
+  // Session length in minutes
+  duration: {
+    type: Number,
+    required: [true, 'Duration is required'],
+    min: [10, 'Duration must be at least 10 minutes']
+  },
+  
+  // Minutes kept free after the session
+  bufferMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  
+  // Price per currency
+  prices: [{
+    currency: {
+      type: String,
+      required: true,
+      enum: ['PKR', 'USD']
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Amount must be at least 1']
+    }
+  }],
+  
+  // How the service can be delivered
+  deliveryModes: {
+    type: [{
+      type: String,
+      enum: ['online', 'in-person']
+    }],
+    default: ['in-person']
+  },
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Display order on the website
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Price for a currency (undefined if the service is not offered in it)
+ */
+serviceSchema.methods.getPrice = function(currency) {
+  const price = this.prices.find(p => p.currency === currency);
+  return price ? price.amount : undefined;
+};
+
+/**
+ * Add each default service whose slug is missing; existing services,
+ * including ones an admin changed or deactivated, are left alone.
+ * Run once on a fresh deployment (npm run seed:services) so it can take
+ * bookings. Safe to run again or concurrently.
+ *
+ * @returns {Promise<string[]>} slugs of the services created
+ */
+serviceSchema.statics.seedDefaults = async function() {
+  try {
+    const result = await this.bulkWrite(DEFAULT_SERVICES.map(service => ({
+      updateOne: {
+        filter: { slug: service.slug },
+        update: { $setOnInsert: service },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return Object.keys(result.upsertedIds).map(index => DEFAULT_SERVICES[index].slug);
+  } catch (error) {
+    // Another instance created them first
+    if (error.code === 11000) return [];
+    throw error;
+  }
+};
+
+serviceSchema.index({ isActive: 1, sortOrder: 1 });
+
+module.exports = mongoose.model('Service', serviceSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * SlotReservation Model
+ * 
+ * One document per booked date/time. The unique index makes the
+ * reservation the atomic step of booking: when two requests race for
+ * the same slot, only one insert succeeds and the other gets a
+ * duplicate key error (E11000).
+ * 
+ * A reservation belongs either to an appointment or, for a limited time,
+ * to a waitlist entry that has been offered the slot.
+ */
+const slotReservationSchema = new mongoose.Schema({
+  // Day of the slot (UTC midnight)
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  
+  // Slot start time, "HH:MM" 24-hour
+  time: {
+    type: String,
+    required: [true, 'Time is required']
+  },
+  
+  // Appointment holding the slot
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  
+  // Waitlist entry the slot is temporarily held for (see expiresAt)
+  waitlistEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Waitlist'
+  },
+  
+  // Holds lapse at this time; appointment reservations never expire
+  expiresAt: {
+    type: Date
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slotReservationSchema.index({ date: 1, time: 1 }, { unique: true });
+slotReservationSchema.index({ appointment: 1 });
+slotReservationSchema.index({ waitlistEntry: 1 });
+
+// MongoDB removes lapsed holds (checked about once a minute)
+slotReservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
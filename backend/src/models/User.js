@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ROLES, ROLE_ALIASES } = require('../config/permissions');
+const { MAX_LOGIN_ATTEMPTS, LOCK_MINUTES, RESET_TOKEN_MINUTES } = require('../config/auth');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -16,10 +20,74 @@ const userSchema = new mongoose.Schema({
       'Please provide a valid email'
     ]
   },
+  password: {
+    type: String,
+    required: [true, 'Please provide password'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
   role: {
     type: String,
-    enum: ['admin', 'user'],
-    default: 'admin'
+    // Aliases (e.g. 'admin') are accepted for existing accounts
+    enum: [...ROLES, ...Object.keys(ROLE_ALIASES)],
+    default: 'owner'
+  },
+  // Deactivated staff cannot log in; their sessions are revoked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Lockout after repeated failed logins
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // Two-factor authentication (TOTP)
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret being enrolled, until the first code confirms it
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused one-time recovery codes
+  recoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step; a code cannot be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Only the SHA-256 hash of the emailed reset token is stored
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false
   },
   createdAt: {
     type: Date,
@@ -27,4 +95,98 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+
+  this.password = await bcrypt.hash(this.password, 12);
+  if (!this.isNew) this.passwordChangedAt = new Date();
+  next();
+});
+
+userSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(candidate || '', this.password);
+};
+
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+// Count a failed login, locking the account once the limit is reached.
+// Uses $inc so parallel attempts cannot undercount.
+userSchema.methods.registerFailedLogin = async function() {
+  const user = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  if (user && user.failedLoginAttempts >= MAX_LOGIN_ATTEMPTS) {
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) }
+    );
+    return true;
+  }
+  return false;
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return Promise.resolve();
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Returns the raw token for the email; call save() afterwards
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = hashToken(token);
+  this.resetPasswordExpire = new Date(Date.now() + RESET_TOKEN_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Returns the plain codes to show once; call save() afterwards
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Atomically consume a recovery code; resolves to true if it was valid
+userSchema.methods.useRecoveryCode = async function(code) {
+  const normalized = String(code || '').trim().toLowerCase();
+  const result = await this.constructor.updateOne(
+    { _id: this._id, recoveryCodes: hashToken(normalized) },
+    { $pull: { recoveryCodes: hashToken(normalized) } }
+  );
+  return result.modifiedCount === 1;
+};
+
+userSchema.statics.findByResetToken = function(token) {
+  return this.findOne({
+    resetPasswordToken: hashToken(token),
+    resetPasswordExpire: { $gt: new Date() }
+  });
+};
+
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    delete ret.resetPasswordToken;
+    delete ret.resetPasswordExpire;
+    delete ret.twoFactorSecret;
+    delete ret.twoFactorPendingSecret;
+    delete ret.recoveryCodes;
+    delete ret.twoFactorLastStep;
+    return ret;
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
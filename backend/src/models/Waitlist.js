@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Waitlist Model
+ * 
+ * A client's interest in a service within a date range. When a matching
+ * slot is freed the oldest waiting entry is offered it and the slot is held
+ * for a limited time (see SlotReservation.expiresAt).
+ */
+const waitlistSchema = new mongoose.Schema({
+  clientName: {
+    type: String,
+    required: [true, 'Please provide client name'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Please provide email'],
+    lowercase: true,
+    match: [
+      /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/,
+      'Please provide a valid email'
+    ]
+  },
+  phone: {
+    type: String,
+    required: [true, 'Please provide phone number'],
+    trim: true
+  },
+  
+  // Service slug the client wants
+  serviceType: {
+    type: String,
+    required: [true, 'Please select service type'],
+    lowercase: true,
+    trim: true
+  },
+  
+  // Dates the client can attend (inclusive, UTC midnights)
+  startDate: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Please provide an end date']
+  },
+  
+  message: {
+    type: String,
+    maxlength: [500, 'Message cannot exceed 500 characters'],
+    trim: true,
+    default: ''
+  },
+  
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  
+  // Slots offered to this client; the last one is current while status is "offered"
+  offers: [{
+    appointmentDate: Date,
+    appointmentTime: String,
+    offeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date,
+    outcome: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'expired'],
+      default: 'pending'
+    }
+  }],
+  
+  // Appointment created when an offer is accepted
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  }
+}, {
+  timestamps: true
+});
+
+waitlistSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must be on or after start date');
+  }
+  next();
+});
+
+waitlistSchema.index({ status: 1, startDate: 1, endDate: 1, createdAt: 1 });
+waitlistSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Waitlist', waitlistSchema);
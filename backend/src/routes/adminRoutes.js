@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const staffController = require('../controllers/staffController');
+const templateController = require('../controllers/templateController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+router.get('/email-logs', protect, requirePermission('email-logs:read'), adminController.getEmailLogs);
+router.get('/outbox', protect, requirePermission('outbox:manage'), adminController.getOutbox);
+router.post('/outbox/:id/retry', protect, requirePermission('outbox:manage'), adminController.retryOutboxMessage);
+router.get('/audit-logs', protect, requirePermission('audit:read'), adminController.getAuditLogs);
+
+// Staff accounts
+router.get('/users', protect, requirePermission('users:manage'), staffController.getUsers);
+router.put('/users/:id/role', protect, requirePermission('users:manage'), staffController.updateUserRole);
+router.put('/users/:id/deactivate', protect, requirePermission('users:manage'), staffController.deactivateUser);
+router.put('/users/:id/activate', protect, requirePermission('users:manage'), staffController.activateUser);
+router.post('/users/:id/revoke-sessions', protect, requirePermission('users:manage'), staffController.revokeUserSessions);
+router.post('/users/:id/reset-2fa', protect, requirePermission('users:manage'), staffController.resetUserTwoFactor);
+
+// Staff invitations
+router.get('/invitations', protect, requirePermission('users:manage'), staffController.getInvitations);
+router.post('/invitations', protect, requirePermission('users:manage'), staffController.createInvitation);
+router.delete('/invitations/:id', protect, requirePermission('users:manage'), staffController.revokeInvitation);
+
+// Message templates and the clinic details they use
+router.get('/templates', protect, requirePermission('templates:manage'), templateController.getTemplates);
+router.get('/templates/:key', protect, requirePermission('templates:manage'), templateController.getTemplate);
+router.put('/templates/:key', protect, requirePermission('templates:manage'), templateController.updateTemplate);
+router.post('/templates/:key/preview', protect, requirePermission('templates:manage'), templateController.previewTemplate);
+router.post('/templates/:key/restore', protect, requirePermission('templates:manage'), templateController.restoreTemplate);
+router.get('/clinic-settings', protect, requirePermission('settings:manage'), templateController.getClinicSettings);
+router.put('/clinic-settings', protect, requirePermission('settings:manage'), templateController.updateClinicSettings);
+
+module.exports = router;
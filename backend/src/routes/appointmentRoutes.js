@@ -1,23 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const appointmentController = require('../controllers/appointmentController');
+const { protect, requirePermission } = require('../middleware/auth');
 
-// Simple test route
-router.post('/', (req, res) => {
-  console.log('Appointment data received:', req.body);
-  res.json({
-    success: true,
-    message: 'Appointment received successfully',
-    data: req.body
-  });
-});
+// Public: Book an appointment
+router.post('/', appointmentController.createAppointment);
 
-router.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Appointments route is working',
-    data: []
-  });
-});
+// Public: Available time slots for a date
+router.get('/available-slots', appointmentController.getAvailableSlots);
+
+// Public: Client self-service through signed manage links
+router.get('/manage/:token', appointmentController.getManagedAppointment);
+router.put('/manage/:token/reschedule', appointmentController.rescheduleManagedAppointment);
+router.put('/manage/:token/cancel', appointmentController.cancelManagedAppointment);
+
+// Admin routes
+router.get('/', protect, requirePermission('appointments:read'), appointmentController.getAppointments);
+router.get('/:id', protect, requirePermission('appointments:read'), appointmentController.getAppointment);
+router.put('/:id', protect, requirePermission('appointments:manage'), appointmentController.updateAppointment);
+router.put('/:id/cancel', protect, requirePermission('appointments:manage'), appointmentController.cancelAppointment);
+router.delete('/:id', protect, requirePermission('appointments:delete'), appointmentController.deleteAppointment);
 
-// Make sure to export the router
 module.exports = router;
\ No newline at end of file
@@ -1,10 +1,45 @@
 const express = require('express');
 const router = express.Router();
-const { register, login, getMe } = require('../controllers/authController');
+const {
+  login,
+  verify,
+  getMe,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  refresh,
+  logout,
+  logoutAll,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getInvitation,
+  acceptInvitation
+} = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
+const { loginLimiter, twoFactorLimiter, passwordResetLimiter } = require('../middleware/rateLimit');
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
+router.post('/login/2fa', twoFactorLimiter, loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
+router.get('/verify', protect, verify);
 router.get('/me', protect, getMe);
+router.put('/password', protect, changePassword);
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+router.put('/reset-password/:token', resetPassword);
+
+// Staff invitations (created by owners under /api/admin/invitations)
+router.get('/invitations/:token', getInvitation);
+router.post('/invitations/:token/accept', acceptInvitation);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, regenerateRecoveryCodes);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const blogController = require('../controllers/blogController');
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadCoverImage } = require('../middleware/upload');
+
+// Admin routes
+router.get('/admin/all', protect, requirePermission('blog:write'), blogController.getAllBlogs);
+router.get('/admin/:id', protect, requirePermission('blog:write'), blogController.getBlogById);
+router.get('/admin/:id/revisions', protect, requirePermission('blog:write'), blogController.getRevisions);
+router.get('/admin/:id/revisions/:version', protect, requirePermission('blog:write'), blogController.getRevision);
+router.post('/', protect, requirePermission('blog:write'), uploadCoverImage, blogController.createBlog);
+router.put('/:id', protect, requirePermission('blog:write'), uploadCoverImage, blogController.updateBlog);
+router.post('/:id/revisions/:version/restore', protect, requirePermission('blog:write'), blogController.restoreRevision);
+router.put('/:id/submit', protect, requirePermission('blog:write'), blogController.submitBlog);
+router.put('/:id/publish', protect, requirePermission('blog:publish'), blogController.publishBlog);
+router.put('/:id/schedule', protect, requirePermission('blog:publish'), blogController.scheduleBlog);
+router.put('/:id/unpublish', protect, requirePermission('blog:publish'), blogController.unpublishBlog);
+router.delete('/:id', protect, requirePermission('blog:delete'), blogController.deleteBlog);
+
+// Public routes
+router.get('/', blogController.getBlogs);
+router.get('/search', blogController.searchBlogs);
+router.get('/:slug', blogController.getBlogBySlug);
+
+module.exports = router;
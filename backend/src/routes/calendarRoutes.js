@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const calendarController = require('../controllers/calendarController');
+const { protect, requirePermission } = require('../middleware/auth');
 
 // Public: Get calendar availability for date range
 router.get('/availability', calendarController.getCalendarSettings);
@@ -9,12 +10,18 @@ router.get('/availability', calendarController.getCalendarSettings);
 router.get('/check', calendarController.checkAvailability);
 
 // Admin: Get all calendar settings (with pagination)
-router.get('/admin/settings', calendarController.getAllCalendarSettings);
+router.get('/admin/settings', protect, requirePermission('calendar:manage'), calendarController.getAllCalendarSettings);
 
 // Admin: Update settings for a specific date
-router.put('/admin/settings', calendarController.updateCalendarSettings);
+router.put('/admin/settings', protect, requirePermission('calendar:manage'), calendarController.updateCalendarSettings);
 
 // Admin: Bulk update multiple dates
-router.post('/admin/settings/bulk', calendarController.bulkUpdateCalendarSettings);
+router.post('/admin/settings/bulk', protect, requirePermission('calendar:manage'), calendarController.bulkUpdateCalendarSettings);
+
+// Admin: Recurring weekly templates
+router.get('/admin/templates', protect, requirePermission('calendar:manage'), calendarController.getTemplates);
+router.post('/admin/templates', protect, requirePermission('calendar:manage'), calendarController.createTemplate);
+router.put('/admin/templates/:id', protect, requirePermission('calendar:manage'), calendarController.updateTemplate);
+router.delete('/admin/templates/:id', protect, requirePermission('calendar:manage'), calendarController.deleteTemplate);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const contactController = require('../controllers/contactController');
+
+// Public: Contact form
+router.post('/', contactController.createContact);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const cronController = require('../controllers/cronController');
+const { requireCronSecret } = require('../middleware/cron');
+
+// Scheduled jobs (triggered by Vercel Cron), e.g. /api/cron/reminders
+router.get('/:job', requireCronSecret, cronController.runJob);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const feedController = require('../controllers/feedController');
+
+// Public, at the site root: /feed.xml, /atom.xml, /sitemap.xml
+router.get('/feed.xml', feedController.getRssFeed);
+router.get('/feed/:category.xml', feedController.getRssFeed);
+router.get('/atom.xml', feedController.getAtomFeed);
+router.get('/atom/:category.xml', feedController.getAtomFeed);
+router.get('/sitemap.xml', feedController.getSitemap);
+
+module.exports = router;
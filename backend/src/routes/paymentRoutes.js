@@ -1,54 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/paymentController');
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, '../../uploads');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
-
-// Configure multer with better error handling
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, 'receipt-' + uniqueSuffix + ext);
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'];
-  
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error(`Invalid file type. Allowed: ${allowedTypes.join(', ')}`), false);
-  }
-};
-
-const upload = multer({ 
-  storage: storage,
-  fileFilter: fileFilter,
-  limits: { 
-    fileSize: 10 * 1024 * 1024 // 10MB
-  }
-});
+const { protect, requirePermission } = require('../middleware/auth');
+const { uploadReceipt } = require('../middleware/upload');
 
 // Public routes
 router.get('/methods', paymentController.getPaymentMethods);
-router.post('/', upload.single('receipt'), paymentController.submitPayment);
+router.post('/', uploadReceipt, paymentController.submitPayment);
 
 // Admin routes
-router.get('/', paymentController.getAllPayments);
-router.get('/:id', paymentController.getPaymentById);
-router.put('/:id/verify', paymentController.verifyPayment);
-router.put('/:id/reject', paymentController.rejectPayment);
+router.get('/', protect, requirePermission('payments:read'), paymentController.getAllPayments);
+router.get('/:id', protect, requirePermission('payments:read'), paymentController.getPaymentById);
+router.put('/:id/verify', protect, requirePermission('payments:verify'), paymentController.verifyPayment);
+router.put('/:id/reject', protect, requirePermission('payments:verify'), paymentController.rejectPayment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const serviceController = require('../controllers/serviceController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// Admin routes
+router.get('/admin/all', protect, requirePermission('services:manage'), serviceController.getAllServices);
+router.post('/', protect, requirePermission('services:manage'), serviceController.createService);
+router.put('/:id', protect, requirePermission('services:manage'), serviceController.updateService);
+router.delete('/:id', protect, requirePermission('services:manage'), serviceController.deactivateService);
+
+// Public routes
+router.get('/', serviceController.getServices);
+router.get('/:id', serviceController.getService);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const waitlistController = require('../controllers/waitlistController');
+const { protect, requirePermission } = require('../middleware/auth');
+
+// Public routes
+router.post('/', waitlistController.joinWaitlist);
+router.get('/offers/:token', waitlistController.getOffer);
+router.post('/offers/:token/accept', waitlistController.acceptOffer);
+router.post('/offers/:token/decline', waitlistController.declineOffer);
+
+// Admin routes
+router.get('/', protect, requirePermission('waitlist:read'), waitlistController.getWaitlist);
+router.put('/:id/cancel', protect, requirePermission('waitlist:manage'), waitlistController.cancelEntry);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const dotenv = require('dotenv');
+
+// ================= LOAD ENV =================
+dotenv.config();
+
+const createApp = require('./app');
+const connectDB = require('./config/database');
+const { startJobs } = require('./jobs');
+
+const PORT = process.env.PORT || 5000;
+
+/**
+ * Local / long-running server.
+ * Unlike Vercel (see vercel.json crons), scheduled jobs run in-process here.
+ */
+connectDB()
+  .then(() => {
+    createApp().listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+    });
+    startJobs();
+  })
+  .catch(() => {
+    process.exit(1);
+  });
@@ -0,0 +1,100 @@
+const AuditLog = require('../models/AuditLog');
+
+// Never copied into the log
+const SECRET_FIELDS = [
+  'password',
+  'resetPasswordToken',
+  'resetPasswordExpire',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorLastStep',
+  'recoveryCodes',
+  'tokenHash',
+  'tokenVersion'
+];
+
+// Bookkeeping fields that change on every save
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+/**
+ * Plain copy of a document (or object) safe to store in the log.
+ */
+const snapshot = (doc) => {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false })
+    : { ...doc };
+  
+  SECRET_FIELDS.forEach(field => delete plain[field]);
+  // Round-trip so ObjectIds and Dates compare and store as plain values
+  return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Field-level differences between two snapshots.
+ * A missing side (create/delete) is recorded as null.
+ */
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || SECRET_FIELDS.includes(field)) return;
+    
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({
+        field,
+        before: from === undefined ? null : from,
+        after: to === undefined ? null : to
+      });
+    }
+  });
+  
+  return changes;
+};
+
+/**
+ * Record an admin action. Never throws: a failed audit write is logged
+ * but does not undo or fail the action itself.
+ *
+ * @param {object} req - Express request (actor, IP and user agent)
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'payment.verify'
+ * @param {object} [entry.target] - Mongoose document acted on
+ * @param {string} [entry.targetModel] - Model name when there is no document
+ * @param {*} [entry.targetId]
+ * @param {object} [entry.before] - snapshot() taken before the change
+ * @param {object} [entry.after] - snapshot() taken after the change
+ * @param {object} [entry.metadata]
+ */
+const recordAudit = async (req, { action, target, targetModel, targetId, before, after, metadata }) => {
+  try {
+    const user = req.user || {};
+    
+    await AuditLog.create({
+      actor: {
+        user: user._id,
+        email: user.email,
+        role: user.role
+      },
+      action,
+      targetModel: targetModel || (target && target.constructor.modelName),
+      targetId: targetId || (target && target._id),
+      changes: diff(before, after),
+      metadata,
+      ip: req.ip,
+      userAgent: req.get && req.get('user-agent')
+    });
+  } catch (error) {
+    console.error(`❌ Audit log write failed (${action}):`, error.message);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diff,
+  recordAudit
+};
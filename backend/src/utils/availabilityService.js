@@ -0,0 +1,369 @@
+const Appointment = require('../models/Appointment');
+const CalendarSettings = require('../models/CalendarSettings');
+const AvailabilityTemplate = require('../models/AvailabilityTemplate');
+const Service = require('../models/Service');
+const SlotReservation = require('../models/SlotReservation');
+const { DEFAULT_HOURS, SLOT_INTERVAL, LEGACY_DURATION } = require('../config/sessions');
+const { toDateKey, getDayRange, timeToMinutes, minutesToTime, getAppointmentStart } = require('./helpers');
+const ErrorResponse = require('./errorResponse');
+
+/**
+ * Availability Service
+ *
+ * Single source of truth for "can this date/time be booked?".
+ * Combines weekday defaults, recurring AvailabilityTemplates, per-date
+ * CalendarSettings overrides (isAvailable, customHours, maxAppointments),
+ * live bookings and slots held for waitlisted clients. Used by the booking
+ * endpoint, the slot listing and the calendar availability check.
+ *
+ * Precedence for a date: CalendarSettings override > active template > defaults.
+ *
+ * Slots are generated per service: a start time is offered when the
+ * whole session fits in a working window and neither the session nor its
+ * buffer overlaps an existing booking.
+ */
+
+const DEFAULT_MAX_APPOINTMENTS = 8;
+
+// Longest date range resolved in one call
+const MAX_RANGE_DAYS = 90;
+
+// Appointments in these states occupy their slot
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+
+/**
+ * Pick the template that applies on a date. When several overlap,
+ * the one that started most recently wins.
+ */
+const findTemplateForDate = (date, templates = []) => {
+  const day = getDayRange(date).start;
+  return templates
+    .filter(template =>
+      template.isActive &&
+      getDayRange(template.effectiveFrom).start <= day &&
+      (!template.effectiveTo || getDayRange(template.effectiveTo).start >= day)
+    )
+    .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+};
+
+/**
+ * Resolve the base schedule for a date from templates or weekday defaults
+ */
+const resolveBaseSchedule = (dateKey, template) => {
+  const dayOfWeek = new Date(dateKey + 'T00:00:00.000Z').getUTCDay();
+
+  if (template) {
+    const hours = template.weeklyHours
+      .filter(slot => slot.dayOfWeek === dayOfWeek)
+      .map(({ start, end }) => ({ start, end }));
+
+    return {
+      isAvailable: hours.length > 0,
+      reason: hours.length > 0 ? template.name : 'No working hours',
+      hours,
+      maxAppointments: template.maxAppointments || DEFAULT_MAX_APPOINTMENTS,
+      source: 'template',
+      templateId: template._id
+    };
+  }
+
+  // Default settings: Weekdays available, weekends unavailable
+  const isWeekend = dayOfWeek === 0 || dayOfWeek === 6;
+
+  return {
+    isAvailable: !isWeekend,
+    reason: isWeekend ? 'Weekend' : 'Default weekday',
+    hours: [],
+    maxAppointments: DEFAULT_MAX_APPOINTMENTS,
+    source: 'default',
+    templateId: null
+  };
+};
+
+/**
+ * Resolve the schedule for one date from its CalendarSettings override (if any)
+ * and the loaded templates. Pure function so range lookups can batch-load.
+ */
+const resolveSchedule = (date, setting, templates = []) => {
+  const dateKey = toDateKey(date);
+  const base = resolveBaseSchedule(dateKey, findTemplateForDate(date, templates));
+
+  let schedule = base;
+
+  if (setting) {
+    // An override's own hours win; otherwise the day keeps its base hours
+    const overrideHours = setting.customHours || [];
+
+    schedule = {
+      isAvailable: setting.isAvailable,
+      reason: setting.reason || 'Custom setting',
+      hours: overrideHours.length > 0 ? overrideHours : base.hours,
+      maxAppointments: setting.maxAppointments || base.maxAppointments,
+      source: 'override',
+      templateId: base.templateId
+    };
+  }
+
+  return {
+    date: dateKey,
+    isAvailable: schedule.isAvailable,
+    reason: schedule.reason,
+    customHours: schedule.hours,
+    // Working windows actually used for slot generation
+    hours: schedule.hours.length > 0 ? schedule.hours : DEFAULT_HOURS,
+    maxAppointments: schedule.maxAppointments,
+    hasCustomSettings: !!setting,
+    source: schedule.source,
+    templateId: schedule.templateId
+  };
+};
+
+/**
+ * Minutes a booking occupies: session length plus buffer
+ */
+const getBlockLength = (duration, buffer) => duration + buffer;
+
+/**
+ * Generate every start time at which a session of `duration` minutes
+ * fits entirely inside one of the working windows. Starts are on the
+ * SLOT_INTERVAL grid that reservations use, so a window opening off the
+ * grid (e.g. 09:15) offers its first slot at the next grid time.
+ */
+const generateSlots = (hours, duration) => {
+  const slots = [];
+  hours.forEach(window => {
+    const windowEnd = timeToMinutes(window.end);
+    const first = Math.ceil(timeToMinutes(window.start) / SLOT_INTERVAL) * SLOT_INTERVAL;
+    for (let start = first; start + duration <= windowEnd; start += SLOT_INTERVAL) {
+      slots.push(minutesToTime(start));
+    }
+  });
+  return [...new Set(slots)].sort();
+};
+
+/**
+ * Whether [start, start + length) overlaps any booking (session + buffer)
+ */
+const overlapsBooking = (start, length, bookings) => {
+  const end = start + length;
+  return bookings.some(booking => {
+    const bookingStart = timeToMinutes(booking.appointmentTime);
+    const bookingEnd = bookingStart + (booking.duration
+      ? getBlockLength(booking.duration, booking.bufferMinutes || 0)
+      : LEGACY_DURATION);
+    return start < bookingEnd && bookingStart < end;
+  });
+};
+
+/**
+ * Load the active templates overlapping [start, end)
+ */
+const findTemplates = (start, end) => {
+  return AvailabilityTemplate.find({
+    isActive: true,
+    effectiveFrom: { $lt: end },
+    $or: [
+      { effectiveTo: null },
+      { effectiveTo: { $gte: start } }
+    ]
+  });
+};
+
+/**
+ * Get the resolved schedule (without bookings) for a date
+ */
+const getDaySchedule = async (date) => {
+  const { start, end } = getDayRange(date);
+
+  const [setting, templates] = await Promise.all([
+    CalendarSettings.findOne({ date: { $gte: start, $lt: end } }),
+    findTemplates(start, end)
+  ]);
+
+  return resolveSchedule(date, setting, templates);
+};
+
+/**
+ * Get schedules for every date in [startDate, endDate], at most
+ * MAX_RANGE_DAYS. Throws a 400 ErrorResponse for an invalid range.
+ */
+const getScheduleRange = async (startDate, endDate) => {
+  if (isNaN(new Date(startDate)) || isNaN(new Date(endDate))) {
+    throw new ErrorResponse('Invalid start or end date', 400);
+  }
+
+  const start = getDayRange(startDate).start;
+  const end = getDayRange(endDate).end;
+  const days = Math.round((end - start) / (24 * 60 * 60 * 1000));
+
+  if (days < 1) {
+    throw new ErrorResponse('End date cannot be before start date', 400);
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw new ErrorResponse(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  const [settings, templates] = await Promise.all([
+    CalendarSettings.find({ date: { $gte: start, $lt: end } }).sort({ date: 1 }),
+    findTemplates(start, end)
+  ]);
+
+  const settingsMap = {};
+  settings.forEach(setting => {
+    settingsMap[toDateKey(setting.date)] = setting;
+  });
+
+  const schedules = [];
+  const current = new Date(start);
+  while (current < end) {
+    const dateKey = toDateKey(current);
+    schedules.push(resolveSchedule(current, settingsMap[dateKey], templates));
+    current.setUTCDate(current.getUTCDate() + 1);
+  }
+
+  return schedules;
+};
+
+/**
+ * Get active bookings on a date, optionally ignoring one appointment
+ * (the one being rescheduled)
+ */
+const getBookings = (date, excludeAppointmentId) => {
+  const { start, end } = getDayRange(date);
+  const query = {
+    appointmentDate: { $gte: start, $lt: end },
+    status: { $in: ACTIVE_STATUSES }
+  };
+  if (excludeAppointmentId) query._id = { $ne: excludeAppointmentId };
+  return Appointment.find(query).select('appointmentTime duration bufferMinutes status');
+};
+
+/**
+ * Get live waitlist holds on a date as booking-like entries, optionally
+ * ignoring the holds of one waitlist entry (the one claiming its offer)
+ */
+const getHolds = async (date, excludeHoldFor) => {
+  const query = {
+    date: getDayRange(date).start,
+    waitlistEntry: { $exists: true },
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeHoldFor) query.waitlistEntry = { $exists: true, $ne: excludeHoldFor };
+
+  const holds = await SlotReservation.find(query).select('time waitlistEntry');
+
+  return {
+    count: new Set(holds.map(hold => hold.waitlistEntry.toString())).size,
+    blocks: holds.map(hold => ({
+      appointmentTime: hold.time,
+      duration: SLOT_INTERVAL,
+      bufferMinutes: 0
+    }))
+  };
+};
+
+/**
+ * Look up an active service by slug. Throws a 400 ErrorResponse if there is none.
+ */
+const getBookableService = async (serviceType) => {
+  const service = serviceType
+    ? await Service.findOne({ slug: String(serviceType).toLowerCase(), isActive: true })
+    : null;
+
+  if (!service) {
+    throw new ErrorResponse('Please select a valid service type', 400);
+  }
+
+  return service;
+};
+
+/**
+ * Whether a clinic-time slot on a date has already started
+ */
+const hasStarted = (date, time) => {
+  return getAppointmentStart({ appointmentDate: date, appointmentTime: time }) <= new Date();
+};
+
+/**
+ * Get the free start times for a service on a date, taking working hours,
+ * bookings, the daily cap and the current time into account
+ */
+const getAvailableSlots = async (date, service, options = {}) => {
+  const [schedule, bookings, holds] = await Promise.all([
+    getDaySchedule(date),
+    getBookings(date, options.excludeAppointmentId),
+    getHolds(date, options.excludeHoldFor)
+  ]);
+
+  // Slots held for waitlisted clients count as taken
+  const occupied = [...bookings, ...holds.blocks];
+  const isFullyBooked = bookings.length + holds.count >= schedule.maxAppointments;
+  const length = getBlockLength(service.duration, service.bufferMinutes);
+  const slots = schedule.isAvailable && !isFullyBooked
+    ? generateSlots(schedule.hours, service.duration)
+        .filter(slot => !hasStarted(date, slot))
+        .filter(slot => !overlapsBooking(timeToMinutes(slot), length, occupied))
+    : [];
+
+  return {
+    ...schedule,
+    serviceType: service.slug,
+    duration: service.duration,
+    bufferMinutes: service.bufferMinutes,
+    bookedCount: bookings.length,
+    heldCount: holds.count,
+    isFullyBooked,
+    slots
+  };
+};
+
+/**
+ * Check whether a specific date/time can be booked for a service
+ */
+const checkSlot = async (date, time, service, options = {}) => {
+  const availability = await getAvailableSlots(date, service, options);
+  const result = {
+    date: availability.date,
+    time,
+    serviceType: service.slug,
+    duration: availability.duration,
+    isAvailable: true,
+    reason: availability.reason,
+    hasCustomSettings: availability.hasCustomSettings
+  };
+
+  if (!availability.isAvailable) {
+    return { ...result, isAvailable: false, reason: availability.reason || 'Date unavailable' };
+  }
+
+  if (!generateSlots(availability.hours, availability.duration).includes(time)) {
+    return { ...result, isAvailable: false, reason: 'Outside working hours' };
+  }
+
+  if (hasStarted(date, time)) {
+    return { ...result, isAvailable: false, reason: 'This time has already passed' };
+  }
+
+  if (availability.isFullyBooked) {
+    return { ...result, isAvailable: false, reason: 'Fully booked' };
+  }
+
+  if (!availability.slots.includes(time)) {
+    return { ...result, isAvailable: false, reason: 'Slot booked' };
+  }
+
+  return result;
+};
+
+module.exports = {
+  DEFAULT_MAX_APPOINTMENTS,
+  MAX_RANGE_DAYS,
+  ACTIVE_STATUSES,
+  resolveSchedule,
+  generateSlots,
+  getDaySchedule,
+  getScheduleRange,
+  getBookableService,
+  getAvailableSlots,
+  checkSlot
+};
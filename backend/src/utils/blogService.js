@@ -0,0 +1,255 @@
+const Blog = require('../models/Blog');
+const BlogRevision = require('../models/BlogRevision');
+const ErrorResponse = require('./errorResponse');
+const { diff } = require('./auditLog');
+const { diffLines } = require('./textDiff');
+const { renderMarkdown } = require('./markdown');
+const { hasPermission } = require('../config/permissions');
+
+/**
+ * Blog Service
+ *
+ * Publishing workflow and revision history for blog posts.
+ *
+ *   draft --submit--> review --publish--> published
+ *                            --schedule-> scheduled --(publishedAt)--> published
+ *   any of review/scheduled/published --unpublish--> draft
+ *
+ * Publishing needs blog:publish, and so does editing a post once it is
+ * published or scheduled: those changes would go live unreviewed.
+ */
+
+// Content copied into every revision
+const REVISION_FIELDS = [
+  'title',
+  'excerpt',
+  'content',
+  'author',
+  'tags',
+  'category',
+  'coverImage',
+  'seoTitle',
+  'seoDescription',
+  'seoKeywords'
+];
+
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'review' },
+  publish: { from: ['draft', 'review', 'scheduled'], to: 'published' },
+  schedule: { from: ['draft', 'review', 'scheduled'], to: 'scheduled' },
+  unpublish: { from: ['review', 'scheduled', 'published'], to: 'draft' }
+};
+
+// Posts whose content is (or will go) live as it stands
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+/**
+ * Throw a 403 unless `user` may change the post's content
+ */
+const assertCanEdit = (blog, user) => {
+  if (LIVE_STATUSES.includes(blog.status) && !(user && hasPermission(user.role, 'blog:publish'))) {
+    throw new ErrorResponse(`Only publishers can edit a ${blog.status} post`, 403);
+  }
+};
+
+/**
+ * Query matching posts the public may see. A scheduled post is public
+ * from its publishedAt even before the publish job has run.
+ */
+const publicQuery = (now = new Date()) => ({
+  status: { $in: ['published', 'scheduled'] },
+  publishedAt: { $lte: now }
+});
+
+/**
+ * Move a post through the workflow (not saved).
+ * `schedule` needs a future publishedAt.
+ */
+const changeStatus = (blog, action, { publishedAt } = {}) => {
+  const transition = TRANSITIONS[action];
+
+  if (!transition.from.includes(blog.status)) {
+    throw new ErrorResponse(`A ${blog.status} post cannot be moved to ${transition.to}`, 400);
+  }
+
+  if (action === 'schedule') {
+    const when = new Date(publishedAt);
+    if (!publishedAt || isNaN(when.getTime())) {
+      throw new ErrorResponse('Please provide a valid publish date', 400);
+    }
+    if (when <= new Date()) {
+      throw new ErrorResponse('The publish date must be in the future', 400);
+    }
+    blog.publishedAt = when;
+  } else if (action === 'publish') {
+    blog.publishedAt = new Date();
+  } else if (action === 'unpublish') {
+    blog.publishedAt = undefined;
+  }
+
+  blog.status = transition.to;
+  return blog;
+};
+
+/**
+ * Publish scheduled posts whose time has come
+ */
+const publishDuePosts = async (now = new Date()) => {
+  const result = await Blog.updateMany(
+    { status: 'scheduled', publishedAt: { $lte: now } },
+    { status: 'published' }
+  );
+  return { published: result.modifiedCount };
+};
+
+const pickRevisionFields = (source) => {
+  const plain = typeof source.toObject === 'function' ? source.toObject() : source;
+  const fields = {};
+  REVISION_FIELDS.forEach(field => {
+    fields[field] = plain[field];
+  });
+  return JSON.parse(JSON.stringify(fields));
+};
+
+/**
+ * Store the post's current content as its next revision, unless it is
+ * the same as the latest one. Never throws: the post is already saved.
+ */
+const recordRevision = async (blog, user, { action = 'update', restoredFrom } = {}) => {
+  try {
+    const latest = await BlogRevision.findOne({ blog: blog._id }).sort({ version: -1 });
+    const fields = pickRevisionFields(blog);
+
+    if (latest && diff(pickRevisionFields(latest), fields).length === 0) {
+      return latest;
+    }
+
+    return await BlogRevision.create({
+      blog: blog._id,
+      version: latest ? latest.version + 1 : 1,
+      ...fields,
+      action,
+      restoredFrom,
+      createdBy: user && user._id
+    });
+  } catch (error) {
+    console.error(`❌ Blog revision failed for ${blog._id}:`, error.message);
+    return null;
+  }
+};
+
+const getRevisions = (blogId) => {
+  return BlogRevision.find({ blog: blogId })
+    .select('-content')
+    .sort({ version: -1 })
+    .populate('createdBy', 'name email');
+};
+
+const findRevision = async (blogId, version) => {
+  const revision = await BlogRevision.findOne({ blog: blogId, version: Number(version) })
+    .populate('createdBy', 'name email');
+  if (!revision) {
+    throw new ErrorResponse(`Revision ${version} not found`, 404);
+  }
+  return revision;
+};
+
+/**
+ * A revision and how it differs from the current post, or from another
+ * revision when `against` is given. Content is compared line by line,
+ * the other fields as before/after values.
+ */
+const compareRevision = async (blog, version, against) => {
+  const revision = await findRevision(blog._id, version);
+  const other = against !== undefined ? await findRevision(blog._id, against) : blog;
+
+  const before = pickRevisionFields(revision);
+  const after = pickRevisionFields(other);
+  const { content: contentBefore, ...fieldsBefore } = before;
+  const { content: contentAfter, ...fieldsAfter } = after;
+
+  return {
+    revision,
+    against: against !== undefined ? Number(against) : 'current',
+    changes: diff(fieldsBefore, fieldsAfter),
+    content: diffLines(contentBefore, contentAfter)
+  };
+};
+
+/**
+ * Put a revision's content back on the post. Recorded as a new revision;
+ * the publishing state is left alone.
+ */
+const restoreRevision = async (blog, version, user) => {
+  assertCanEdit(blog, user);
+  const revision = await findRevision(blog._id, version);
+
+  blog.set(pickRevisionFields(revision));
+  await blog.save();
+  await recordRevision(blog, user, { action: 'restore', restoredFrom: revision.version });
+
+  return blog;
+};
+
+/**
+ * Bring posts from before the publishing workflow up to date: a status
+ * from the old isPublished flag (which defaulted to true) and rendered
+ * HTML for their content. Safe to run again; only posts missing either
+ * are touched, and their updatedAt is kept.
+ *
+ * @returns {Promise<{ migrated: number, cleaned: string[] }>} `cleaned`
+ *   lists the slugs of posts whose content had disallowed HTML removed
+ */
+const migrateLegacyPosts = async () => {
+  // Raw documents: isPublished is no longer in the schema
+  const posts = await Blog.collection.find({
+    $or: [{ status: { $exists: false } }, { contentHtml: { $exists: false } }]
+  }).toArray();
+
+  const cleaned = [];
+  for (const post of posts) {
+    // Old content was never checked; strip what is not allowed rather than fail
+    const rendered = renderMarkdown(post.content, { strict: false });
+    if (rendered.removed.length > 0) cleaned.push(post.slug);
+
+    const set = { contentHtml: rendered.html, toc: rendered.toc, readTime: rendered.readTime };
+    const unset = { isPublished: '' };
+
+    if (!post.status) {
+      if (post.isPublished === false) {
+        // publishedAt used to default to the creation time, even for drafts
+        set.status = 'draft';
+        unset.publishedAt = '';
+      } else {
+        set.status = 'published';
+        set.publishedAt = post.publishedAt || post.createdAt || new Date();
+      }
+    }
+
+    await Blog.collection.updateOne({ _id: post._id }, { $set: set, $unset: unset });
+  }
+
+  return { migrated: posts.length, cleaned };
+};
+
+/**
+ * Cloudinary images used by a post or any of its revisions
+ */
+const getCoverImageIds = async (blog) => {
+  const ids = await BlogRevision.distinct('coverImage.publicId', { blog: blog._id });
+  if (blog.coverImage && blog.coverImage.publicId) ids.push(blog.coverImage.publicId);
+  return [...new Set(ids.filter(Boolean))];
+};
+
+module.exports = {
+  assertCanEdit,
+  publicQuery,
+  changeStatus,
+  publishDuePosts,
+  recordRevision,
+  getRevisions,
+  compareRevision,
+  restoreRevision,
+  migrateLegacyPosts,
+  getCoverImageIds
+};
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const SlotReservation = require('../models/SlotReservation');
+const availabilityService = require('./availabilityService');
+const { SLOT_INTERVAL, LEGACY_DURATION } = require('../config/sessions');
+const { DEFAULT_CURRENCY } = require('../config/clinic');
+const ErrorResponse = require('./errorResponse');
+const { getDayRange, timeToMinutes, minutesToTime, getAppointmentStart } = require('./helpers');
+
+/**
+ * Booking Service
+ *
+ * Books appointments atomically: the time a session occupies is claimed
+ * through unique SlotReservation inserts (one per SLOT_INTERVAL unit)
+ * before the appointment is created, so concurrent or overlapping requests
+ * cannot both succeed.
+ */
+
+// Fields a client may set when booking
+const BOOKING_FIELDS = [
+  'clientName',
+  'email',
+  'phone',
+  'appointmentDate',
+  'appointmentTime',
+  'deliveryMode',
+  'message'
+];
+
+/**
+ * Interval units ("HH:MM") covered by a session starting at `time`
+ * and lasting `length` minutes (session + buffer)
+ */
+const getReservationUnits = (time, length) => {
+  const start = Math.floor(timeToMinutes(time) / SLOT_INTERVAL) * SLOT_INTERVAL;
+  const end = timeToMinutes(time) + length;
+  const units = [];
+  for (let unit = start; unit < end; unit += SLOT_INTERVAL) {
+    units.push(minutesToTime(unit));
+  }
+  return units;
+};
+
+/**
+ * Claim the time a booking occupies for `owner` ({ appointment } or
+ * { waitlistEntry, expiresAt } for a hold). Throws a 409 ErrorResponse
+ * (and rolls back partial claims) if any part of it is already taken.
+ */
+const reserveSlot = async (date, time, length, owner) => {
+  // Make sure the unique index exists before relying on it
+  await SlotReservation.init();
+
+  const day = getDayRange(date).start;
+
+  // The TTL monitor can lag by a minute; lapsed holds must not block anyone
+  await SlotReservation.deleteMany({ date: day, expiresAt: { $lte: new Date() } });
+
+  const reservations = getReservationUnits(time, length).map(unit => ({
+    _id: new mongoose.Types.ObjectId(),
+    date: day,
+    time: unit,
+    ...owner
+  }));
+
+  try {
+    return await SlotReservation.insertMany(reservations, { ordered: true });
+  } catch (error) {
+    // Roll back only this claim; the appointment may still hold another slot
+    await SlotReservation.deleteMany({ _id: { $in: reservations.map(r => r._id) } });
+    if (error.code === 11000) {
+      throw new ErrorResponse('Slot booked', 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Claim the slot for an existing appointment (e.g. when it is re-activated)
+ */
+const reserveAppointmentSlot = (appointment) => {
+  // Appointments booked before durations were stored used fixed hourly slots
+  const length = appointment.duration
+    ? appointment.duration + (appointment.bufferMinutes || 0)
+    : LEGACY_DURATION;
+
+  return reserveSlot(
+    appointment.appointmentDate,
+    appointment.appointmentTime,
+    length,
+    { appointment: appointment._id }
+  );
+};
+
+/**
+ * Free every slot held by an appointment
+ */
+const releaseSlot = (appointment) => {
+  return SlotReservation.deleteMany({ appointment: appointment._id });
+};
+
+/**
+ * Validate and book an appointment from client-supplied data.
+ * With `options.holdFor` (a waitlist entry id) the slot held for that
+ * entry is converted into the appointment's reservation.
+ */
+const bookAppointment = async (data, options = {}) => {
+  const { appointmentDate, appointmentTime, serviceType } = data;
+
+  if (!appointmentDate || !appointmentTime) {
+    throw new ErrorResponse('Appointment date and time are required', 400);
+  }
+
+  const service = await availabilityService.getBookableService(serviceType);
+
+  const currency = data.currency || DEFAULT_CURRENCY;
+  const amount = service.getPrice(currency);
+  if (amount === undefined) {
+    throw new ErrorResponse(`${service.name} is not offered in ${currency}`, 400);
+  }
+
+  if (data.deliveryMode && !service.deliveryModes.includes(data.deliveryMode)) {
+    throw new ErrorResponse(`${service.name} is not offered ${data.deliveryMode}`, 400);
+  }
+
+  const slot = await availabilityService.checkSlot(appointmentDate, appointmentTime, service, {
+    excludeHoldFor: options.holdFor
+  });
+  if (!slot.isAvailable) {
+    throw new ErrorResponse(slot.reason, slot.reason === 'Slot booked' ? 409 : 400);
+  }
+
+  // The id is generated up front so reservations can reference it
+  const appointmentId = new mongoose.Types.ObjectId();
+
+  if (options.holdFor) {
+    const claimed = await SlotReservation.updateMany(
+      { waitlistEntry: options.holdFor, expiresAt: { $gt: new Date() } },
+      { $set: { appointment: appointmentId }, $unset: { waitlistEntry: 1, expiresAt: 1 } }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new ErrorResponse('This offer has expired', 409);
+    }
+  } else {
+    await reserveSlot(appointmentDate, appointmentTime, service.duration + service.bufferMinutes, {
+      appointment: appointmentId
+    });
+  }
+
+  try {
+    const fields = {};
+    BOOKING_FIELDS.forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+
+    return await Appointment.create({
+      ...fields,
+      _id: appointmentId,
+      service: service._id,
+      serviceType: service.slug,
+      deliveryMode: data.deliveryMode || service.deliveryModes[0],
+      duration: service.duration,
+      bufferMinutes: service.bufferMinutes,
+      amount,
+      currency,
+      status: 'pending'
+    });
+  } catch (error) {
+    // Give the slot back if the appointment could not be created
+    await SlotReservation.deleteMany({ appointment: appointmentId });
+
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors).map(val => val.message).join(', ');
+      throw new ErrorResponse(message, 400);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Move an active appointment to a new date/time, keeping its service length.
+ * The old slot is only given up once the new one has been claimed.
+ */
+const rescheduleAppointment = async (appointment, { appointmentDate, appointmentTime }) => {
+  if (!appointmentDate || !appointmentTime) {
+    throw new ErrorResponse('Appointment date and time are required', 400);
+  }
+
+  if (!availabilityService.ACTIVE_STATUSES.includes(appointment.status)) {
+    throw new ErrorResponse('Only pending or confirmed appointments can be rescheduled', 400);
+  }
+
+  if (getAppointmentStart({ appointmentDate, appointmentTime }) <= new Date()) {
+    throw new ErrorResponse('Please choose a future date and time', 400);
+  }
+
+  // Appointments booked before durations were stored used fixed hourly slots
+  const booked = {
+    slug: appointment.serviceType,
+    duration: appointment.duration || LEGACY_DURATION,
+    bufferMinutes: appointment.duration ? (appointment.bufferMinutes || 0) : 0
+  };
+
+  const slot = await availabilityService.checkSlot(appointmentDate, appointmentTime, booked, {
+    excludeAppointmentId: appointment._id
+  });
+  if (!slot.isAvailable) {
+    throw new ErrorResponse(slot.reason, slot.reason === 'Slot booked' ? 409 : 400);
+  }
+
+  // The new slot may overlap the old one, so free the old claims first
+  // and put them back if the new claim fails
+  const previous = await SlotReservation.find({ appointment: appointment._id }).lean();
+  await releaseSlot(appointment);
+
+  try {
+    await reserveSlot(appointmentDate, appointmentTime, booked.duration + booked.bufferMinutes, {
+      appointment: appointment._id
+    });
+  } catch (error) {
+    if (previous.length > 0) {
+      await SlotReservation.insertMany(previous, { ordered: false }).catch(err =>
+        console.error('Failed to restore slot reservation:', err.message)
+      );
+    }
+    throw error;
+  }
+
+  appointment.appointmentDate = new Date(appointmentDate);
+  appointment.appointmentTime = appointmentTime;
+  appointment.duration = booked.duration;
+  appointment.bufferMinutes = booked.bufferMinutes;
+  // Reminders were for the old time
+  appointment.remindersSent = [];
+  await appointment.save();
+
+  return appointment;
+};
+
+module.exports = {
+  reserveSlot,
+  reserveAppointmentSlot,
+  releaseSlot,
+  bookAppointment,
+  rescheduleAppointment
+};
@@ -97,6 +97,23 @@ class CloudinaryService {
     }
   }
 
+  /**
+   * Delete an uploaded image. Never throws; a leftover image is only
+   * wasted storage.
+   */
+  static async deleteImage(publicId) {
+    if (!publicId) return { success: true };
+    
+    try {
+      const result = await cloudinary.uploader.destroy(publicId);
+      console.log('🗑️ Cloudinary image deleted:', publicId, result.result);
+      return { success: true, result: result.result };
+    } catch (error) {
+      console.error('❌ Cloudinary delete failed:', publicId, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Get MIME type from file extension
    */
@@ -1,51 +1,62 @@
-const fs = require("fs");
-const path = require("path");
+const EmailLog = require('../models/EmailLog');
+const { escapeRegex } = require('./query');
 
-class EmailLogger {
-  constructor() {
-    this.logsDir = path.join(__dirname, "../../logs");
-    this.logFile = path.join(this.logsDir, "email-logs.json");
-    this.ensureDirectory();
-  }
+// Links in emails carry one-time tokens (manage, reset, invitation); never store them
+const redactTokens = (text) => text.replace(/token=[^"'&\s<]+/g, 'token=[redacted]');
 
-  ensureDirectory() {
-    if (!fs.existsSync(this.logsDir)) {
-      fs.mkdirSync(this.logsDir, { recursive: true });
-    }
-    if (!fs.existsSync(this.logFile)) {
-      fs.writeFileSync(this.logFile, JSON.stringify([]));
-    }
-  }
-
-  logEmail(to, subject, type = "generic", html = "", status = "sent") {
+class EmailLogger {
+  /**
+   * Record an outgoing email (or SMS, with channel: 'sms').
+   * Never throws; a failed write is only reported on the console.
+   */
+  async logEmail(to, subject, type = 'generic', html = '', status = 'sent', { error, messageId, channel = 'email' } = {}) {
     try {
-      const logs = JSON.parse(fs.readFileSync(this.logFile, "utf8") || "[]");
-      const logEntry = {
-        time: new Date().toISOString(),
+      await EmailLog.create({
+        channel,
         to,
         subject,
         type,
         status,
-        html: html || "",
-      };
-
-      logs.push(logEntry);
-      fs.writeFileSync(this.logFile, JSON.stringify(logs, null, 2));
+        preview: redactTokens(String(html || '')).substring(0, 500),
+        error,
+        messageId
+      });
 
       return { success: true };
     } catch (err) {
-      console.error("📌 EmailLogger log fail:", err.message);
+      console.error('📌 EmailLogger log fail:', err.message);
       return { success: false, error: err.message };
     }
   }
 
-  getLogs() {
-    try {
-      const content = fs.readFileSync(this.logFile, "utf8");
-      return JSON.parse(content || "[]").reverse(); // latest first
-    } catch {
-      return [];
+  /**
+   * Latest entries first.
+   * Filters: to (partial, case-insensitive), type, status, channel,
+   * startDate/endDate; page and limit paginate.
+   */
+  async getLogs({ to, type, status, channel, startDate, endDate, page = 1, limit = 50 } = {}) {
+    const query = {};
+
+    if (to) query.to = new RegExp(escapeRegex(String(to).toLowerCase()));
+    if (type) query.type = String(type);
+    if (status) query.status = String(status);
+    if (channel) query.channel = String(channel);
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
     }
+
+    const [logs, total] = await Promise.all([
+      EmailLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      EmailLog.countDocuments(query)
+    ]);
+
+    return { logs, total };
   }
 }
 
@@ -0,0 +1,12 @@
+/**
+ * Error carrying an HTTP status code, understood by middleware/error.js
+ * and by handlers that map service errors to responses.
+ */
+class ErrorResponse extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = ErrorResponse;
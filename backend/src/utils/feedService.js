@@ -0,0 +1,198 @@
+const Blog = require('../models/Blog');
+const ClinicSettings = require('../models/ClinicSettings');
+const { FRONTEND_URL } = require('../config/clinic');
+const { publicQuery } = require('./blogService');
+
+/**
+ * Feed Service
+ *
+ * RSS 2.0 and Atom feeds and the XML sitemap, built from public blog
+ * posts. Links point at the website (FRONTEND_URL/blog/<slug>); entry
+ * ids use the post id so they survive a change of slug.
+ */
+
+// Newest posts in a feed
+const FEED_LIMIT = 20;
+
+const CATEGORIES = Blog.schema.path('category').enumValues;
+
+const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  // Control characters are not allowed in XML at all
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const postUrl = (post) => `${FRONTEND_URL}/blog/${encodeURIComponent(post.slug)}`;
+
+const blogUrl = (category) => category
+  ? `${FRONTEND_URL}/blog?category=${encodeURIComponent(category)}`
+  : `${FRONTEND_URL}/blog`;
+
+// tag: URI (RFC 4151), stable for the life of the post
+const entryId = (post) => {
+  const host = new URL(FRONTEND_URL).hostname;
+  return `tag:${host},${new Date(post.createdAt).getUTCFullYear()}:blog/${post._id}`;
+};
+
+// Atom feed id: the feed's path on the website, whatever host or query
+// string the request came with
+const feedId = (category) => category
+  ? `${FRONTEND_URL}/atom/${encodeURIComponent(category)}.xml`
+  : `${FRONTEND_URL}/atom.xml`;
+
+const categoryLabel = (category) => category
+  .split('-')
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+// Most recent updatedAt, or null when there are no posts
+const latestUpdate = (posts) => posts.reduce(
+  (latest, post) => (!latest || post.updatedAt > latest ? post.updatedAt : latest),
+  null
+);
+
+/**
+ * Newest public posts (optionally in one category), with the channel
+ * details shared by both feed formats
+ */
+const getFeed = async (category) => {
+  const query = publicQuery();
+  if (category) query.category = category;
+
+  const [posts, settings] = await Promise.all([
+    Blog.find(query)
+      .select('title slug excerpt contentHtml author tags category seoTitle seoDescription publishedAt createdAt updatedAt')
+      .sort({ publishedAt: -1 })
+      .limit(FEED_LIMIT)
+      .lean(),
+    ClinicSettings.getSettings()
+  ]);
+
+  return {
+    category,
+    title: category ? `${settings.name}: ${categoryLabel(category)}` : settings.name,
+    description: category
+      ? `${categoryLabel(category)} articles from ${settings.name}`
+      : `Articles from ${settings.name}`,
+    link: blogUrl(category),
+    updated: latestUpdate(posts) || new Date(),
+    posts
+  };
+};
+
+const buildRss = (feed, selfUrl) => {
+  const items = feed.posts.map(post => [
+    '    <item>',
+    `      <title>${escapeXml(post.seoTitle || post.title)}</title>`,
+    `      <link>${escapeXml(postUrl(post))}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(entryId(post))}</guid>`,
+    `      <pubDate>${new Date(post.publishedAt).toUTCString()}</pubDate>`,
+    `      <dc:creator>${escapeXml(post.author)}</dc:creator>`,
+    `      <category>${escapeXml(post.category)}</category>`,
+    ...(post.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`),
+    `      <description>${escapeXml(post.seoDescription || post.excerpt)}</description>`,
+    `      <content:encoded>${escapeXml(post.contentHtml)}</content:encoded>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+const buildAtom = (feed, selfUrl) => {
+  const entries = feed.posts.map(post => [
+    '  <entry>',
+    `    <title>${escapeXml(post.seoTitle || post.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(postUrl(post))}"/>`,
+    `    <id>${escapeXml(entryId(post))}</id>`,
+    `    <published>${new Date(post.publishedAt).toISOString()}</published>`,
+    `    <updated>${new Date(post.updatedAt).toISOString()}</updated>`,
+    `    <author><name>${escapeXml(post.author)}</name></author>`,
+    `    <category term="${escapeXml(post.category)}"/>`,
+    ...(post.tags || []).map(tag => `    <category term="${escapeXml(tag)}"/>`),
+    `    <summary>${escapeXml(post.seoDescription || post.excerpt)}</summary>`,
+    `    <content type="html">${escapeXml(post.contentHtml)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <id>${escapeXml(feedId(feed.category))}</id>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Every public post, plus the blog's index pages
+ */
+const getSitemap = async () => {
+  const posts = await Blog.find(publicQuery())
+    .select('slug category updatedAt')
+    .sort({ publishedAt: -1 })
+    .lean();
+
+  const categories = CATEGORIES.filter(category => posts.some(post => post.category === category));
+
+  const urls = [
+    { loc: `${FRONTEND_URL}/`, changefreq: 'monthly' },
+    { loc: blogUrl(), lastmod: latestUpdate(posts), changefreq: 'weekly' },
+    ...categories.map(category => ({
+      loc: blogUrl(category),
+      lastmod: latestUpdate(posts.filter(post => post.category === category)),
+      changefreq: 'weekly'
+    })),
+    ...posts.map(post => ({ loc: postUrl(post), lastmod: post.updatedAt }))
+  ];
+
+  return urls;
+};
+
+const buildSitemap = (entries) => {
+  const urls = entries.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    ...(url.lastmod ? [`    <lastmod>${url.lastmod.toISOString()}</lastmod>`] : []),
+    ...(url.changefreq ? [`    <changefreq>${url.changefreq}</changefreq>`] : []),
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  CATEGORIES,
+  getFeed,
+  buildRss,
+  buildAtom,
+  getSitemap,
+  buildSitemap
+};
@@ -0,0 +1,57 @@
+const { UTC_OFFSET_MINUTES } = require('../config/clinic');
+
+/**
+ * Date/time helpers shared by the booking and calendar code.
+ *
+ * Calendar dates are handled as UTC midnights and times as "HH:MM" strings
+ * in clinic local time, matching how Appointment and CalendarSettings store them.
+ */
+
+/**
+ * Format a date as "YYYY-MM-DD" (UTC)
+ */
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Start (inclusive) and end (exclusive) of the UTC day containing `date`
+ */
+const getDayRange = (date) => {
+  const start = new Date(toDateKey(date) + 'T00:00:00.000Z');
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start, end };
+};
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to "HH:MM"
+ */
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+};
+
+/**
+ * The real instant an appointment starts, from its date and clinic-local time
+ */
+const getAppointmentStart = (appointment) => {
+  const { start } = getDayRange(appointment.appointmentDate);
+  const minutes = timeToMinutes(appointment.appointmentTime) - UTC_OFFSET_MINUTES;
+  return new Date(start.getTime() + minutes * 60 * 1000);
+};
+
+module.exports = {
+  toDateKey,
+  getDayRange,
+  timeToMinutes,
+  minutesToTime,
+  getAppointmentStart
+};
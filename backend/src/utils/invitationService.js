@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const ErrorResponse = require('./errorResponse');
+const { INVITATION_DAYS } = require('../config/auth');
+const { FRONTEND_URL } = require('../config/clinic');
+const { sendTemplate } = require('./notifications');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const ROLE_LABELS = {
+  owner: 'an owner',
+  psychologist: 'a psychologist',
+  receptionist: 'a receptionist',
+  accountant: 'an accountant'
+};
+
+/**
+ * Invite someone to join as staff. Any earlier pending invitation for
+ * the same email is revoked, so only the newest link works.
+ */
+const createInvitation = async ({ email, role }, invitedBy) => {
+  const normalized = String(email || '').trim().toLowerCase();
+  
+  if (normalized && await User.exists({ email: normalized })) {
+    throw new ErrorResponse('A user with this email already exists', 400);
+  }
+  
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = new Invitation({
+    email: normalized,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: invitedBy && invitedBy._id,
+    expiresAt: new Date(Date.now() + INVITATION_DAYS * 24 * 60 * 60 * 1000)
+  });
+  await invitation.validate();
+  
+  await Invitation.updateMany(
+    { email: normalized, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await invitation.save();
+  
+  const acceptUrl = `${FRONTEND_URL}/admin/accept-invite?token=${token}`;
+  
+  sendTemplate('staff_invitation', { email: invitation.email }, {
+    inviterName: invitedBy ? invitedBy.name : 'The clinic',
+    roleLabel: ROLE_LABELS[role],
+    acceptUrl,
+    days: INVITATION_DAYS
+  });
+  
+  return invitation;
+};
+
+/**
+ * Pending invitation for a token, or null.
+ */
+const findPendingInvitation = (token) => {
+  return Invitation.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+/**
+ * Create the staff account. The invitation is claimed atomically first
+ * so the link works exactly once.
+ */
+const acceptInvitation = async (token, { name, password }) => {
+  const invitation = await Invitation.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { acceptedAt: new Date() },
+    { new: true }
+  );
+  
+  if (!invitation) {
+    throw new ErrorResponse('This invitation is invalid or has expired', 400);
+  }
+  
+  try {
+    const user = await User.create({
+      name,
+      email: invitation.email,
+      password,
+      role: invitation.role
+    });
+    
+    invitation.user = user._id;
+    await invitation.save();
+    
+    return user;
+  } catch (error) {
+    // Let the invitee correct the form and try again
+    await Invitation.updateOne({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+    
+    if (error.code === 11000) {
+      throw new ErrorResponse('A user with this email already exists', 400);
+    }
+    if (error.name === 'ValidationError') {
+      throw new ErrorResponse(Object.values(error.errors).map(e => e.message).join(', '), 400);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  createInvitation,
+  findPendingInvitation,
+  acceptInvitation
+};
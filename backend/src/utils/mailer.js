@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mailer
+ *
+ * The only module that sends email. Everything else queues mail through
+ * notifications.sendTemplate (outbox, retries and the email log).
+ *
+ * MAIL_TRANSPORT picks where mail goes:
+ *   smtp    - real delivery (EMAIL_HOST/EMAIL_PORT/EMAIL_SECURE, EMAIL_USER/EMAIL_PASS;
+ *             Gmail when no host is given). Default when credentials are set.
+ *   console - print to the console. Default without credentials.
+ *   file    - write each email as an .html file to MAIL_FILE_DIR (default logs/mail)
+ *   memory  - keep messages in memory (getSentMail), for tests
+ */
+
+const ADMIN_EMAIL = process.env.EMAIL_USER || 'admin@mindwell.com';
+
+// One sender identity for every email
+const MAIL_FROM = process.env.EMAIL_FROM || `"MindWell Psychology" <${ADMIN_EMAIL}>`;
+
+const htmlToText = (html) => {
+  return String(html || '')
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<(br|\/p|\/div|\/h\d|\/li)\s*\/?>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim();
+};
+
+const createMessageId = (name) => `${name}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Each transport: { name, send(message) -> { messageId } }
+const createSmtpTransport = () => {
+  const options = process.env.EMAIL_HOST
+    ? {
+        host: process.env.EMAIL_HOST,
+        port: parseInt(process.env.EMAIL_PORT) || 587,
+        secure: process.env.EMAIL_SECURE === 'true'
+      }
+    : { service: 'gmail' };
+
+  const transporter = nodemailer.createTransport({
+    ...options,
+    auth: {
+      user: process.env.EMAIL_USER,
+      // Gmail app passwords are often pasted with spaces
+      pass: String(process.env.EMAIL_PASS || '').replace(/\s/g, '')
+    }
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 [MAIL] To: ${message.to} | Subject: ${message.subject}`);
+    console.log(message.text.split('\n').map(line => `📧   ${line}`).join('\n'));
+    return { messageId: createMessageId('console') };
+  }
+});
+
+const createFileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../../logs/mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = createMessageId('file');
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${messageId}.html`),
+        `<!--\nFrom: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n-->\n${message.html}`
+      );
+      return { messageId };
+    }
+  };
+};
+
+const sentMail = [];
+
+const createMemoryTransport = () => ({
+  name: 'memory',
+  send: async (message) => {
+    const messageId = createMessageId('memory');
+    sentMail.push({ ...message, messageId, sentAt: new Date() });
+    return { messageId };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport
+};
+
+const createTransport = (name) => {
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return TRANSPORTS[name]();
+};
+
+const defaultTransport = (process.env.EMAIL_USER && process.env.EMAIL_PASS) ? 'smtp' : 'console';
+let transport = createTransport(process.env.MAIL_TRANSPORT || defaultTransport);
+
+/**
+ * Send one email now. The plain-text part is derived from the HTML
+ * unless given. Throws on delivery errors.
+ */
+const deliverEmail = async (to, subject, html, text) => {
+  return transport.send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    html,
+    text: text || htmlToText(html)
+  });
+};
+
+/**
+ * Whether mail actually leaves the app. With the console fallback,
+ * emails are printed and recorded as skipped.
+ */
+const isEmailConfigured = () => transport.name !== 'console';
+
+const getTransportName = () => transport.name;
+
+// Swap the transport at runtime, e.g. setTransport('memory') in a test
+const setTransport = (name) => {
+  transport = createTransport(name);
+};
+
+const getSentMail = () => sentMail;
+
+const clearSentMail = () => {
+  sentMail.length = 0;
+};
+
+module.exports = {
+  ADMIN_EMAIL,
+  MAIL_FROM,
+  deliverEmail,
+  isEmailConfigured,
+  getTransportName,
+  setTransport,
+  getSentMail,
+  clearSentMail,
+  htmlToText
+};
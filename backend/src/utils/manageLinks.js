@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+const { JWT_SECRET } = require('../config/auth');
+const { FRONTEND_URL } = require('../config/clinic');
+const { getAppointmentStart } = require('./helpers');
+
+/**
+ * Signed links that let a client view, reschedule or cancel their own
+ * appointment without an account. A token is bound to one appointment
+ * and expires when the appointment starts.
+ */
+
+const MANAGE_AUDIENCE = 'appointment-manage';
+
+/**
+ * Create a manage token for an appointment
+ */
+const createManageToken = (appointment) => {
+  const exp = Math.floor(getAppointmentStart(appointment).getTime() / 1000);
+  return jwt.sign(
+    { appointmentId: appointment._id.toString(), exp },
+    JWT_SECRET,
+    { audience: MANAGE_AUDIENCE }
+  );
+};
+
+/**
+ * Verify a manage token and return the appointment id it grants access to.
+ * Throws if the token is invalid or expired.
+ */
+const verifyManageToken = (token) => {
+  const decoded = jwt.verify(token, JWT_SECRET, { audience: MANAGE_AUDIENCE });
+  return decoded.appointmentId;
+};
+
+/**
+ * Website URLs for managing an appointment
+ */
+const getManageLinks = (appointment) => {
+  const token = createManageToken(appointment);
+  const base = `${FRONTEND_URL}/appointments/manage?token=${encodeURIComponent(token)}`;
+  return {
+    view: base,
+    reschedule: `${base}&action=reschedule`,
+    cancel: `${base}&action=cancel`
+  };
+};
+
+module.exports = {
+  createManageToken,
+  verifyManageToken,
+  getManageLinks
+};
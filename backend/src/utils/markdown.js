@@ -0,0 +1,208 @@
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+/**
+ * Markdown for blog posts
+ *
+ * Authors write Markdown (GitHub flavour, plus callouts):
+ *
+ *   > [!NOTE]
+ *   > Text of the callout.
+ *
+ * (NOTE, TIP, IMPORTANT, WARNING or CAUTION). The rendered HTML is checked
+ * against an allowlist: content with scripts, iframes, event handlers,
+ * inline styles or javascript: links is rejected rather than silently
+ * changed, and what remains is sanitised again before it is stored.
+ */
+
+const WORDS_PER_MINUTE = 200;
+
+// Headings at or above this level go into the table of contents
+const TOC_MAX_LEVEL = 3;
+
+const CALLOUTS = {
+  NOTE: 'Note',
+  TIP: 'Tip',
+  IMPORTANT: 'Important',
+  WARNING: 'Warning',
+  CAUTION: 'Caution'
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'blockquote', 'div', 'span',
+    'ul', 'ol', 'li',
+    'strong', 'em', 'del', 'sup', 'sub',
+    'code', 'pre',
+    'a', 'img', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    code: ['class'],
+    div: ['class'],
+    p: ['class']
+  },
+  allowedClasses: {
+    code: ['language-*'],
+    div: ['callout', 'callout-*'],
+    p: ['callout-title']
+  },
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    // Links to other sites open in a new tab without access to this one
+    a: (tagName, attribs) => {
+      if (/^https?:\/\//i.test(attribs.href || '')) {
+        return {
+          tagName,
+          attribs: { ...attribs, target: '_blank', rel: 'noopener noreferrer' }
+        };
+      }
+      return { tagName, attribs };
+    }
+  }
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const stripTags = (html) => decodeEntities(String(html).replace(/<[^>]*>/g, ''));
+
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^a-z0-9\s-]/g, '')
+  .trim()
+  .replace(/\s+/g, '-')
+  .replace(/-+/g, '-') || 'section';
+
+const getScheme = (url) => {
+  // Browsers ignore whitespace and control characters inside the scheme
+  const match = String(url).replace(/[\s\u0000-\u001f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Everything in the HTML that the allowlist would remove
+ */
+const findUnsafeHtml = (html) => {
+  const problems = new Set();
+
+  sanitizeHtml(html, {
+    ...SANITIZE_OPTIONS,
+    onOpenTag: (name, attribs) => {
+      if (!SANITIZE_OPTIONS.allowedTags.includes(name)) {
+        problems.add(`<${name}> tags`);
+        return;
+      }
+
+      const allowed = SANITIZE_OPTIONS.allowedAttributes[name] || [];
+      Object.keys(attribs).forEach(attribute => {
+        if (!allowed.includes(attribute)) {
+          problems.add(`"${attribute}" attributes`);
+        }
+      });
+
+      ['href', 'src'].forEach(attribute => {
+        const scheme = attribs[attribute] !== undefined && getScheme(attribs[attribute]);
+        const schemes = SANITIZE_OPTIONS.allowedSchemesByTag[name] || SANITIZE_OPTIONS.allowedSchemes;
+        if (scheme && !schemes.includes(scheme)) {
+          problems.add(`${scheme}: links`);
+        }
+      });
+    }
+  });
+
+  return [...problems];
+};
+
+const createParser = (toc) => {
+  const usedIds = new Map();
+
+  const marked = new Marked({ gfm: true });
+  marked.use({
+    renderer: {
+      heading(text, level) {
+        const label = stripTags(text).trim();
+        const base = slugify(label);
+        const count = usedIds.get(base) || 0;
+        usedIds.set(base, count + 1);
+        const id = count ? `${base}-${count + 1}` : base;
+
+        if (level <= TOC_MAX_LEVEL) {
+          toc.push({ level, text: label, id });
+        }
+        return `<h${level} id="${id}">${text}</h${level}>\n`;
+      },
+
+      blockquote(quote) {
+        const match = quote.match(/^<p>\[!(\w+)\][ \t]*\n?/);
+        const type = match && match[1].toUpperCase();
+        if (!type || !CALLOUTS[type]) return false;
+
+        const body = quote.slice(match[0].length).replace(/^<\/p>\n?/, '');
+        const opened = body.startsWith('<') ? body : `<p>${body}`;
+        return `<div class="callout callout-${type.toLowerCase()}">\n` +
+          `<p class="callout-title">${CALLOUTS[type]}</p>\n${opened}</div>\n`;
+      },
+
+      // Task list boxes as characters; forms are not allowed in posts
+      checkbox(checked) {
+        return checked ? '☑' : '☐';
+      }
+    }
+  });
+
+  return marked;
+};
+
+/**
+ * Render Markdown to safe HTML.
+ * Throws (with a message listing what is not allowed) on unsafe content.
+ * With { strict: false } unsafe HTML is removed instead and listed in
+ * `removed`; used for posts written before content was checked.
+ *
+ * @returns {{ html: string, toc: Array<{level, text, id}>, wordCount: number, readTime: number, removed: string[] }}
+ */
+const renderMarkdown = (markdown, { strict = true } = {}) => {
+  const toc = [];
+  const rendered = createParser(toc).parse(String(markdown || ''));
+
+  const problems = findUnsafeHtml(rendered);
+  if (problems.length > 0 && strict) {
+    throw new Error(`Content contains HTML that is not allowed: ${problems.join(', ')}`);
+  }
+
+  const html = sanitizeHtml(rendered, SANITIZE_OPTIONS);
+  const words = stripTags(html).split(/\s+/).filter(Boolean).length;
+
+  return {
+    html,
+    toc,
+    wordCount: words,
+    readTime: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)),
+    removed: problems
+  };
+};
+
+module.exports = {
+  renderMarkdown
+};
@@ -0,0 +1,75 @@
+const { ADMIN_EMAIL, isEmailConfigured } = require('./mailer');
+const { isSmsConfigured } = require('./smsService');
+const outboxService = require('./outboxService');
+const { renderTemplate } = require('./templateService');
+const { getManageLinks } = require('./manageLinks');
+
+/**
+ * Queue one message for delivery through the outbox, which sends it,
+ * retries on failure and records it in the notification log.
+ * Resolves to false when the message could not be queued.
+ */
+const queue = async (message) => {
+  try {
+    await outboxService.enqueue(message);
+    return true;
+  } catch (err) {
+    console.error(`❌ ${message.channel === 'sms' ? 'SMS' : 'Email'} could not be queued:`, err.message);
+    return false;
+  }
+};
+
+/**
+ * Render a message template (config/messageTemplates.js) and queue it:
+ * the email to `email` and, when the template has an SMS variant, the
+ * SMS to `phone`. `type` labels the messages in the log (default: the key).
+ * Never throws; resolves to { email, sms } telling what was queued for
+ * delivery. A channel that is not configured gives false: its messages
+ * are only logged as skipped.
+ */
+const sendTemplate = async (key, { email, phone } = {}, vars = {}, { type = key } = {}) => {
+  let message;
+  try {
+    message = await renderTemplate(key, vars);
+  } catch (err) {
+    console.error(`❌ Template ${key} could not be rendered:`, err.message);
+    return { email: false, sms: false };
+  }
+
+  const [emailQueued, smsQueued] = await Promise.all([
+    email
+      ? queue({ channel: 'email', to: email, subject: message.subject, body: message.html, text: message.text, type })
+      : false,
+    phone && message.sms
+      ? queue({ channel: 'sms', to: phone, body: message.sms, type })
+      : false
+  ]);
+
+  return {
+    email: emailQueued && isEmailConfigured(),
+    sms: smsQueued && isSmsConfigured()
+  };
+};
+
+/**
+ * Template variables describing an appointment. Pass { links: true }
+ * to include the client's manage links.
+ */
+const getAppointmentVars = (appointment, { links = false } = {}) => ({
+  clientName: appointment.clientName,
+  clientEmail: appointment.email,
+  clientPhone: appointment.phone,
+  date: new Date(appointment.appointmentDate).toDateString(),
+  time: appointment.appointmentTime,
+  service: appointment.serviceType,
+  paymentStatus: appointment.paymentStatus,
+  links: links ? getManageLinks(appointment) : null
+});
+
+module.exports = {
+  ADMIN_EMAIL,
+  sendTemplate,
+  getAppointmentVars,
+  isEmailConfigured,
+  isSmsConfigured
+};
@@ -0,0 +1,174 @@
+const OutboxMessage = require('../models/OutboxMessage');
+const emailLogger = require('./emailLogger');
+const { deliverEmail, isEmailConfigured } = require('./mailer');
+const { sendSMS, isSmsConfigured } = require('./smsService');
+
+// Attempts before a message is parked as failed, and the retry delays:
+// 1, 2, 4, 8, 16... minutes, capped at 6 hours
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_DELAY = 60 * 1000;
+const MAX_DELAY = 6 * 60 * 60 * 1000;
+
+// How long a worker may hold a message before another may take it over
+const LOCK_TIME = 2 * 60 * 1000;
+
+const getBackoff = (attempts) => Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY);
+
+/**
+ * Queue a message and try to send it straight away in the background.
+ * Only the database insert is awaited.
+ */
+const enqueue = async ({ channel = 'email', to, subject, body, text, type = 'generic' }) => {
+  const message = await OutboxMessage.create({ channel, to, subject, body, text, type });
+  
+  setImmediate(() => {
+    processOutbox({ limit: 5 }).catch(error => {
+      console.error('❌ Outbox processing failed:', error.message);
+    });
+  });
+  
+  return message;
+};
+
+/**
+ * Claim the next due message (or one whose worker died mid-send)
+ */
+const claimNext = (now) => {
+  return OutboxMessage.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'processing',
+      lockedUntil: new Date(now.getTime() + LOCK_TIME),
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+const deliver = async (message) => {
+  if (message.channel === 'sms') {
+    const result = await sendSMS(message.to, message.body, message.type);
+    if (!result.success) throw new Error(result.error || 'SMS failed');
+    return { messageId: result.messageId };
+  }
+  return deliverEmail(message.to, message.subject, message.body, message.text);
+};
+
+/**
+ * Send one claimed message and record the outcome.
+ * Returns the final status for this attempt.
+ */
+const processMessage = async (message) => {
+  const { channel, to, subject, body, text, type } = message;
+  
+  if (channel === 'email' && !isEmailConfigured()) {
+    // Printed by the console transport; nothing to retry
+    await deliverEmail(to, subject, body, text);
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      { status: 'skipped', sentAt: new Date(), lastError: 'Email not configured', $unset: { lockedUntil: 1 } }
+    );
+    await emailLogger.logEmail(to, subject, type, body, 'skipped', { error: 'Email not configured' });
+    return 'skipped';
+  }
+  
+  if (channel === 'sms' && !isSmsConfigured()) {
+    // Printed, and logged as skipped, by the SMS service; nothing to retry
+    await sendSMS(to, body, type);
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      { status: 'skipped', sentAt: new Date(), lastError: 'SMS provider not configured', $unset: { lockedUntil: 1 } }
+    );
+    return 'skipped';
+  }
+  
+  try {
+    const { messageId } = await deliver(message);
+    
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      { status: 'sent', sentAt: new Date(), messageId, $unset: { lockedUntil: 1, lastError: 1 } }
+    );
+    // The SMS service records its own log entry
+    if (channel === 'email') {
+      console.log(`✅ Email sent to ${to} (${type})`);
+      await emailLogger.logEmail(to, subject, type, body, 'sent', { messageId });
+    }
+    return 'sent';
+    
+  } catch (error) {
+    const failed = message.attempts >= MAX_ATTEMPTS;
+    
+    await OutboxMessage.updateOne(
+      { _id: message._id },
+      {
+        status: failed ? 'failed' : 'pending',
+        nextAttemptAt: new Date(Date.now() + getBackoff(message.attempts)),
+        lastError: error.message,
+        $unset: { lockedUntil: 1 }
+      }
+    );
+    
+    console.error(`❌ ${channel} to ${to} failed (attempt ${message.attempts}/${MAX_ATTEMPTS}):`, error.message);
+    if (failed && channel === 'email') {
+      await emailLogger.logEmail(to, subject, type, body, 'failed', { error: error.message });
+    }
+    return failed ? 'failed' : 'retrying';
+  }
+};
+
+/**
+ * Deliver due messages, oldest first, up to `limit` per run.
+ */
+const processOutbox = async ({ now = new Date(), limit = 50 } = {}) => {
+  const result = { sent: 0, skipped: 0, retrying: 0, failed: 0 };
+  
+  for (let i = 0; i < limit; i++) {
+    const message = await claimNext(now);
+    if (!message) break;
+    
+    const status = await processMessage(message);
+    result[status]++;
+  }
+  
+  return result;
+};
+
+/**
+ * Put a failed (or any unsent) message back in the queue with fresh attempts
+ */
+const retryMessage = async (id) => {
+  const message = await OutboxMessage.findOneAndUpdate(
+    { _id: id, status: { $in: ['failed', 'skipped', 'pending'] } },
+    {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      $unset: { lockedUntil: 1, sentAt: 1 }
+    },
+    { new: true }
+  );
+  
+  if (message) {
+    setImmediate(() => {
+      processOutbox({ limit: 1 }).catch(error => {
+        console.error('❌ Outbox processing failed:', error.message);
+      });
+    });
+  }
+  
+  return message;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  getBackoff,
+  enqueue,
+  processOutbox,
+  retryMessage
+};
@@ -0,0 +1,16 @@
+/**
+ * Helpers for turning request query strings into MongoDB filters.
+ *
+ * Express parses `?status[$ne]=x` into { $ne: 'x' }, so query values are
+ * passed through String() before they go into a filter; otherwise they
+ * would be read as operators.
+ */
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+  escapeRegex
+};
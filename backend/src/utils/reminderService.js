@@ -0,0 +1,109 @@
+const Appointment = require('../models/Appointment');
+const { sendTemplate, getAppointmentVars } = require('./notifications');
+const { getDayRange, getAppointmentStart } = require('./helpers');
+
+/**
+ * Reminder Service
+ *
+ * Sends email and SMS reminders for confirmed appointments 24 hours and
+ * 2 hours ahead. Each reminder is claimed on the appointment (remindersSent)
+ * before it is sent, so overlapping runs never send it twice.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Checked from the closest window outwards: an appointment already inside
+// the 2h window gets only the 2h reminder
+const REMINDERS = [
+  { kind: '2h', before: 2 * HOUR },
+  { kind: '24h', before: 24 * HOUR }
+];
+
+/**
+ * Which reminder (if any) is due for an appointment starting at `start`
+ */
+const getDueReminder = (start, now) => {
+  const untilStart = start.getTime() - now.getTime();
+  if (untilStart <= 0) return null;
+  return REMINDERS.find(reminder => untilStart <= reminder.before) || null;
+};
+
+/**
+ * Atomically record that a reminder is being sent.
+ * Returns null if it was already sent or the appointment is no longer confirmed.
+ */
+const claimReminder = (appointmentId, kind, now) => {
+  return Appointment.findOneAndUpdate(
+    {
+      _id: appointmentId,
+      status: 'confirmed',
+      'remindersSent.kind': { $ne: kind }
+    },
+    { $push: { remindersSent: { kind, sentAt: now } } },
+    { new: true }
+  );
+};
+
+/**
+ * Send one reminder through email and SMS
+ */
+const sendReminder = async (appointment, kind) => {
+  const vars = getAppointmentVars(appointment);
+  const when = kind === '2h' ? 'today' : `on ${vars.date}`;
+
+  const { email, sms } = await sendTemplate(
+    'appointment_reminder',
+    { email: appointment.email, phone: appointment.phone },
+    { ...vars, when },
+    { type: `appointment_reminder_${kind}` }
+  );
+
+  await Appointment.updateOne(
+    { _id: appointment._id, 'remindersSent.kind': kind },
+    { $set: { 'remindersSent.$.email': email, 'remindersSent.$.sms': sms } }
+  );
+
+  return { email, sms };
+};
+
+/**
+ * Find confirmed appointments with a reminder due and send it
+ */
+const sendDueReminders = async (now = new Date()) => {
+  // Clinic-local dates can differ from UTC dates by a day either way
+  const from = getDayRange(new Date(now.getTime() - 24 * HOUR)).start;
+  const to = getDayRange(new Date(now.getTime() + 2 * 24 * HOUR)).end;
+
+  const appointments = await Appointment.find({
+    status: 'confirmed',
+    appointmentDate: { $gte: from, $lt: to }
+  }).select('appointmentDate appointmentTime remindersSent');
+
+  const sent = [];
+
+  for (const candidate of appointments) {
+    const reminder = getDueReminder(getAppointmentStart(candidate), now);
+    if (!reminder) continue;
+    if (candidate.remindersSent.some(r => r.kind === reminder.kind)) continue;
+
+    const appointment = await claimReminder(candidate._id, reminder.kind, now);
+    if (!appointment) continue;
+
+    try {
+      const channels = await sendReminder(appointment, reminder.kind);
+      sent.push({ appointmentId: appointment._id, kind: reminder.kind, ...channels });
+    } catch (error) {
+      console.error(`❌ Reminder failed for appointment ${appointment._id}:`, error.message);
+    }
+  }
+
+  return {
+    checked: appointments.length,
+    sent
+  };
+};
+
+module.exports = {
+  getDueReminder,
+  sendDueReminders
+};
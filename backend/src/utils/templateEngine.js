@@ -0,0 +1,122 @@
+/**
+ * Template Engine
+ *
+ * A deliberately small syntax for admin-editable messages:
+ *
+ *   {{clientName}}               variable (dotted paths allowed: {{clinic.phone}})
+ *   {{#if notes}}...{{/if}}      section shown when the value is present
+ *   {{#if notes}}...{{else}}...{{/if}}
+ *
+ * In HTML every value is escaped and line breaks become <br>. Subjects,
+ * plain text and SMS are rendered as-is. There is no way to inject raw
+ * markup through a variable.
+ */
+
+const TAG = /(\{\{\{?[^{}]*\}\}\}?)/;
+const PATH = /^[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*$/;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const assertPath = (path, tag) => {
+  if (!PATH.test(path)) {
+    throw new Error(`Invalid tag ${tag}`);
+  }
+  return path;
+};
+
+/**
+ * Parse a template into a tree of text, variable and if nodes.
+ * Throws on unknown tags or unbalanced sections.
+ */
+const compile = (source) => {
+  const root = { children: [] };
+  const stack = [root];
+
+  for (const token of String(source || '').split(TAG)) {
+    if (!token) continue;
+    const current = stack[stack.length - 1];
+
+    if (!TAG.test(token)) {
+      current.children.push({ type: 'text', value: token });
+      continue;
+    }
+
+    if (token.startsWith('{{{') || token.endsWith('}}}')) {
+      throw new Error(`Unsupported tag ${token}: values are always escaped`);
+    }
+
+    const inner = token.slice(2, -2).trim();
+
+    if (inner.startsWith('#if ')) {
+      const node = {
+        type: 'if',
+        path: assertPath(inner.slice(4).trim(), token),
+        then: [],
+        otherwise: []
+      };
+      node.children = node.then;
+      current.children.push(node);
+      stack.push(node);
+    } else if (inner === 'else') {
+      if (current.type !== 'if' || current.children === current.otherwise) {
+        throw new Error('{{else}} without a matching {{#if}}');
+      }
+      current.children = current.otherwise;
+    } else if (inner === '/if') {
+      if (current.type !== 'if') {
+        throw new Error('{{/if}} without a matching {{#if}}');
+      }
+      stack.pop();
+    } else {
+      current.children.push({ type: 'var', path: assertPath(inner, token) });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#if ${stack[stack.length - 1].path}}}`);
+  }
+
+  return root.children;
+};
+
+const lookup = (vars, path) => {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+};
+
+const isPresent = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '';
+};
+
+const renderNodes = (nodes, vars, html) => {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    if (node.type === 'if') {
+      const branch = isPresent(lookup(vars, node.path)) ? node.then : node.otherwise;
+      return renderNodes(branch, vars, html);
+    }
+
+    const value = lookup(vars, node.path);
+    if (value === undefined || value === null) return '';
+    return html ? escapeHtml(value).replace(/\r?\n/g, '<br>') : String(value);
+  }).join('');
+};
+
+/**
+ * Render a template string. Pass { html: true } to escape values.
+ */
+const render = (source, vars = {}, { html = false } = {}) => {
+  return renderNodes(compile(source), vars, html);
+};
+
+module.exports = {
+  escapeHtml,
+  compile,
+  render
+};
@@ -0,0 +1,202 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const ClinicSettings = require('../models/ClinicSettings');
+const MESSAGE_TEMPLATES = require('../config/messageTemplates');
+const ErrorResponse = require('./errorResponse');
+const { compile, render } = require('./templateEngine');
+const { htmlToText } = require('./mailer');
+
+/**
+ * Template Service
+ *
+ * Resolves a template key to its current content (an admin's edited
+ * version, else the built-in one) and renders it with the clinic settings.
+ */
+
+const CONTENT_FIELDS = ['subject', 'html', 'text', 'sms'];
+
+// Older versions beyond this are dropped from a template's history
+const MAX_VERSIONS = 50;
+
+const getDefinition = (key) => {
+  const definition = Object.prototype.hasOwnProperty.call(MESSAGE_TEMPLATES, key) && MESSAGE_TEMPLATES[key];
+  if (!definition) {
+    throw new ErrorResponse(`Unknown template: ${key}`, 404);
+  }
+  return definition;
+};
+
+const pickContent = (source) => {
+  const content = {};
+  CONTENT_FIELDS.forEach(field => {
+    content[field] = (source && source[field]) || '';
+  });
+  return content;
+};
+
+/**
+ * Check every variant parses; throws a 400 naming the broken one
+ */
+const validateContent = (content) => {
+  if (!content.subject || !content.html) {
+    throw new ErrorResponse('Subject and HTML are required', 400);
+  }
+  CONTENT_FIELDS.forEach(field => {
+    try {
+      compile(content[field]);
+    } catch (error) {
+      throw new ErrorResponse(`Invalid ${field} template: ${error.message}`, 400);
+    }
+  });
+};
+
+/**
+ * Template with its current content, as shown to admins
+ */
+const describe = (key, stored) => {
+  const definition = getDefinition(key);
+  return {
+    key,
+    description: definition.description,
+    variables: Object.keys(definition.sample),
+    ...pickContent(stored || definition),
+    version: stored ? stored.version : 0,
+    customized: Boolean(stored),
+    updatedAt: stored ? stored.updatedAt : null,
+    updatedBy: stored ? stored.updatedBy : null
+  };
+};
+
+const listTemplates = async () => {
+  const stored = await MessageTemplate.find().select('-versions').lean();
+  const byKey = new Map(stored.map(template => [template.key, template]));
+  return Object.keys(MESSAGE_TEMPLATES).map(key => describe(key, byKey.get(key)));
+};
+
+const getTemplate = async (key) => {
+  getDefinition(key);
+  const stored = await MessageTemplate.findOne({ key }).lean();
+  return {
+    ...describe(key, stored),
+    versions: stored ? stored.versions.slice().reverse() : []
+  };
+};
+
+/**
+ * Render content with the given variables. Clinic settings are
+ * available as {{clinic.*}}.
+ */
+const renderContent = (content, vars, clinic) => {
+  const context = { ...vars, clinic };
+  const html = render(content.html, context, { html: true });
+  return {
+    subject: render(content.subject, context).trim(),
+    html,
+    text: content.text ? render(content.text, context) : htmlToText(html),
+    sms: content.sms ? render(content.sms, context).trim() : ''
+  };
+};
+
+/**
+ * Render a template for sending
+ */
+const renderTemplate = async (key, vars = {}) => {
+  const definition = getDefinition(key);
+  const [stored, clinic] = await Promise.all([
+    MessageTemplate.findOne({ key }).select('-versions').lean(),
+    ClinicSettings.getSettings()
+  ]);
+  return renderContent(pickContent(stored || definition), vars, clinic);
+};
+
+/**
+ * Render a template (optionally with unsaved edits) using its sample
+ * variables, overridden by any given
+ */
+const previewTemplate = async (key, draft = {}, vars = {}) => {
+  const definition = getDefinition(key);
+  const [stored, clinic] = await Promise.all([
+    MessageTemplate.findOne({ key }).select('-versions').lean(),
+    ClinicSettings.getSettings()
+  ]);
+
+  const content = pickContent(stored || definition);
+  CONTENT_FIELDS.forEach(field => {
+    if (typeof draft[field] === 'string') content[field] = draft[field];
+  });
+  validateContent(content);
+
+  return renderContent(content, { ...definition.sample, ...vars }, clinic);
+};
+
+/**
+ * Save new content as the next version, keeping the current one in history
+ */
+const saveVersion = async (key, content, user) => {
+  validateContent(content);
+
+  let template = await MessageTemplate.findOne({ key });
+
+  if (!template) {
+    template = new MessageTemplate({ key, ...content, version: 1, updatedBy: user && user._id });
+  } else {
+    template.versions.push({
+      version: template.version,
+      ...pickContent(template),
+      updatedBy: template.updatedBy,
+      updatedAt: template.updatedAt
+    });
+    if (template.versions.length > MAX_VERSIONS) {
+      template.versions.splice(0, template.versions.length - MAX_VERSIONS);
+    }
+    Object.assign(template, content);
+    template.version += 1;
+    template.updatedBy = user && user._id;
+  }
+
+  await template.save();
+  return template;
+};
+
+/**
+ * Edit a template. Fields not given keep their current content.
+ */
+const updateTemplate = async (key, changes, user) => {
+  const definition = getDefinition(key);
+  const stored = await MessageTemplate.findOne({ key }).select('-versions').lean();
+
+  const content = pickContent(stored || definition);
+  CONTENT_FIELDS.forEach(field => {
+    if (typeof changes[field] === 'string') content[field] = changes[field];
+  });
+
+  return saveVersion(key, content, user);
+};
+
+/**
+ * Bring back an earlier version, or the built-in content when no
+ * version is given. Saved as a new version.
+ */
+const restoreTemplate = async (key, version, user) => {
+  const definition = getDefinition(key);
+  let content = pickContent(definition);
+
+  if (version !== undefined && version !== null) {
+    const stored = await MessageTemplate.findOne({ key }).lean();
+    const earlier = stored && stored.versions.find(v => v.version === Number(version));
+    if (!earlier) {
+      throw new ErrorResponse(`Version ${version} not found`, 404);
+    }
+    content = pickContent(earlier);
+  }
+
+  return saveVersion(key, content, user);
+};
+
+module.exports = {
+  listTemplates,
+  getTemplate,
+  renderTemplate,
+  previewTemplate,
+  updateTemplate,
+  restoreTemplate
+};
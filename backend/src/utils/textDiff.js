@@ -0,0 +1,74 @@
+/**
+ * Line-by-line diff of two texts (longest common subsequence).
+ *
+ * Returns [{ type: 'unchanged' | 'removed' | 'added', line }] in reading
+ * order. Very large inputs fall back to "all removed, all added" rather
+ * than building a huge table.
+ */
+
+const MAX_CELLS = 4000000;
+
+const toLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+const diffLines = (before, after) => {
+  const a = toLines(before);
+  const b = toLines(after);
+
+  // Common head and tail need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(line => ({ type: 'unchanged', line }));
+  const tail = a.slice(endA).map(line => ({ type: 'unchanged', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if ((midA.length + 1) * (midB.length + 1) > MAX_CELLS) {
+    return [
+      ...head,
+      ...midA.map(line => ({ type: 'removed', line })),
+      ...midB.map(line => ({ type: 'added', line })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j]: LCS length of midA[i..] and midB[j..]
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'unchanged', line: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: 'removed', line: midA[i++] });
+    } else {
+      middle.push({ type: 'added', line: midB[j++] });
+    }
+  }
+  while (i < midA.length) middle.push({ type: 'removed', line: midA[i++] });
+  while (j < midB.length) middle.push({ type: 'added', line: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+};
+
+module.exports = {
+  diffLines
+};
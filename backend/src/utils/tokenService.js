@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ErrorResponse = require('./errorResponse');
+const {
+  JWT_SECRET,
+  ACCESS_TOKEN_EXPIRE,
+  REFRESH_TOKEN_DAYS,
+  TWO_FACTOR_CHALLENGE_EXPIRE
+} = require('../config/auth');
+
+// Every token type has its own audience so one can never pass for another
+const ACCESS_AUDIENCE = 'access';
+const CHALLENGE_AUDIENCE = 'two-factor-challenge';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Access token (JWT). `v` must match user.tokenVersion, so bumping the
+ * version invalidates every access token still in circulation.
+ */
+const createAccessToken = (user) => {
+  return jwt.sign({ id: user._id, v: user.tokenVersion || 0 }, JWT_SECRET, {
+    audience: ACCESS_AUDIENCE,
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+// Throws (jsonwebtoken errors) for invalid or expired tokens
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, JWT_SECRET, { audience: ACCESS_AUDIENCE });
+};
+
+const createRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    ip: req && req.ip,
+    userAgent: req && req.get('user-agent')
+  });
+  
+  return token;
+};
+
+/**
+ * Start a new session after login.
+ */
+const createSession = async (user, req) => {
+  return {
+    accessToken: createAccessToken(user),
+    refreshToken: await createRefreshToken(user, crypto.randomUUID(), req)
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Throws 401 for unknown, expired or reused tokens.
+ */
+const rotateSession = async (token, req) => {
+  if (!token) {
+    throw new ErrorResponse('Refresh token required', 401);
+  }
+  
+  // Claim the token atomically so two parallel refreshes cannot both win
+  const now = new Date();
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now, revokedReason: 'rotated' }
+  );
+  
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+    
+    if (known && known.revokedReason === 'rotated') {
+      // A rotated token came back: revoke everything from that login
+      await RefreshToken.updateMany(
+        { family: known.family, revokedAt: null },
+        { revokedAt: now, revokedReason: 'reuse' }
+      );
+      console.warn(`⚠️  Refresh token reuse detected for user ${known.user}; session revoked`);
+    }
+    
+    throw new ErrorResponse('Session expired, please log in again', 401);
+  }
+  
+  const user = await User.findById(current.user);
+  if (!user || !user.isActive) {
+    throw new ErrorResponse('Session expired, please log in again', 401);
+  }
+  
+  return {
+    user,
+    accessToken: createAccessToken(user),
+    refreshToken: await createRefreshToken(user, current.family, req)
+  };
+};
+
+/**
+ * Short-lived proof that the password step of a login succeeded.
+ * Only exchangeable for a session together with a second factor.
+ */
+const createChallengeToken = (user) => {
+  return jwt.sign({ id: user._id, v: user.tokenVersion || 0 }, JWT_SECRET, {
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRE
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  try {
+    return jwt.verify(String(token || ''), JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+  } catch (error) {
+    throw new ErrorResponse('Login expired, please sign in again', 401);
+  }
+};
+
+/**
+ * Revoke one refresh token (logout). Unknown tokens are ignored.
+ */
+const revokeSession = async (token) => {
+  if (!token) return;
+  
+  await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+};
+
+/**
+ * Sign a user out everywhere: revoke all refresh tokens and void issued
+ * access tokens. Returns the new tokenVersion.
+ */
+const revokeAllSessions = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  );
+  
+  if (!user) {
+    throw new ErrorResponse('User not found', 404);
+  }
+  
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'revoke-all' }
+  );
+  
+  return user.tokenVersion;
+};
+
+module.exports = {
+  createAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateSession,
+  createChallengeToken,
+  verifyChallengeToken,
+  revokeSession,
+  revokeAllSessions
+};
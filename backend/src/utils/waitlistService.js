@@ -0,0 +1,247 @@
+const jwt = require('jsonwebtoken');
+const Waitlist = require('../models/Waitlist');
+const SlotReservation = require('../models/SlotReservation');
+const Service = require('../models/Service');
+const availabilityService = require('./availabilityService');
+const { reserveSlot, bookAppointment } = require('./bookingService');
+const { sendTemplate } = require('./notifications');
+const ErrorResponse = require('./errorResponse');
+const { JWT_SECRET } = require('../config/auth');
+const { FRONTEND_URL } = require('../config/clinic');
+const { toDateKey, getDayRange, getAppointmentStart } = require('./helpers');
+
+/**
+ * Waitlist Service
+ *
+ * When a slot is freed (cancellation, rejected payment, reschedule) the
+ * oldest waiting entry whose date range covers it and whose service fits
+ * is offered the slot. The slot is held for that client until the offer
+ * expires; if they decline or let it lapse, the next entry is offered it.
+ */
+
+const OFFER_AUDIENCE = 'waitlist-offer';
+const HOLD_HOURS = process.env.WAITLIST_HOLD_HOURS !== undefined
+  ? parseFloat(process.env.WAITLIST_HOLD_HOURS)
+  : 6;
+
+const isSameSlot = (offer, slot) =>
+  toDateKey(offer.appointmentDate) === toDateKey(slot.appointmentDate) &&
+  offer.appointmentTime === slot.appointmentTime;
+
+/**
+ * Signed token letting the client accept or decline their current offer
+ */
+const createOfferToken = (entry, offer) => {
+  return jwt.sign(
+    { entryId: entry._id.toString(), exp: Math.floor(offer.expiresAt.getTime() / 1000) },
+    JWT_SECRET,
+    { audience: OFFER_AUDIENCE }
+  );
+};
+
+/**
+ * Load the waitlist entry an offer token was issued for
+ */
+const findEntryByOfferToken = async (token) => {
+  let entryId;
+  try {
+    entryId = jwt.verify(token, JWT_SECRET, { audience: OFFER_AUDIENCE }).entryId;
+  } catch (error) {
+    throw new ErrorResponse('This offer link is invalid or has expired', 401);
+  }
+
+  const entry = await Waitlist.findById(entryId);
+  if (!entry) {
+    throw new ErrorResponse('Waitlist entry not found', 404);
+  }
+  return entry;
+};
+
+/**
+ * The entry's current (pending) offer, if any
+ */
+const getPendingOffer = (entry) => {
+  const offer = entry.offers[entry.offers.length - 1];
+  return entry.status === 'offered' && offer && offer.outcome === 'pending' ? offer : null;
+};
+
+const sendOfferEmail = (entry, offer) => {
+  const token = createOfferToken(entry, offer);
+  const base = `${FRONTEND_URL}/waitlist/offer?token=${encodeURIComponent(token)}`;
+
+  return sendTemplate('waitlist_offer', { email: entry.email }, {
+    clientName: entry.clientName,
+    service: entry.serviceType,
+    date: new Date(offer.appointmentDate).toDateString(),
+    time: offer.appointmentTime,
+    expiresAt: offer.expiresAt.toUTCString(),
+    acceptUrl: `${base}&action=accept`,
+    declineUrl: `${base}&action=decline`
+  });
+};
+
+/**
+ * Offer a slot to one entry: claim the entry, hold the slot, email the client.
+ * Returns false if the slot does not suit the entry or could not be held.
+ */
+const offerSlot = async (entry, slot) => {
+  const service = await Service.findOne({ slug: entry.serviceType, isActive: true });
+  if (!service) return false;
+
+  const check = await availabilityService.checkSlot(slot.appointmentDate, slot.appointmentTime, service);
+  if (!check.isAvailable) return false;
+
+  const start = getAppointmentStart(slot);
+  const expiresAt = new Date(Math.min(Date.now() + HOLD_HOURS * 60 * 60 * 1000, start.getTime()));
+  const offer = {
+    appointmentDate: getDayRange(slot.appointmentDate).start,
+    appointmentTime: slot.appointmentTime,
+    offeredAt: new Date(),
+    expiresAt,
+    outcome: 'pending'
+  };
+
+  const claimed = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: 'waiting' },
+    { status: 'offered', $push: { offers: offer } },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  try {
+    await reserveSlot(slot.appointmentDate, slot.appointmentTime, service.duration + service.bufferMinutes, {
+      waitlistEntry: claimed._id,
+      expiresAt
+    });
+  } catch (error) {
+    // Someone else took the slot in the meantime; put the entry back in line
+    await Waitlist.updateOne(
+      { _id: claimed._id },
+      { status: 'waiting', $pop: { offers: 1 } }
+    );
+    return false;
+  }
+
+  sendOfferEmail(claimed, getPendingOffer(claimed));
+  return true;
+};
+
+/**
+ * Offer a freed slot ({ appointmentDate, appointmentTime }) to the next
+ * waiting client. Resolves to the entry that received the offer, or null.
+ */
+const offerFreedSlot = async (slot) => {
+  if (getAppointmentStart(slot) <= new Date()) return null;
+
+  const day = getDayRange(slot.appointmentDate).start;
+  const candidates = await Waitlist.find({
+    status: 'waiting',
+    startDate: { $lte: day },
+    endDate: { $gte: day }
+  }).sort({ createdAt: 1 });
+
+  for (const entry of candidates) {
+    // Clients who already passed on this slot are not asked again
+    if (entry.offers.some(offer => isSameSlot(offer, slot))) continue;
+
+    if (await offerSlot(entry, slot)) return entry;
+  }
+
+  return null;
+};
+
+/**
+ * Fire-and-forget wrapper for controllers that free a slot
+ */
+const notifyWaitlist = (slot) => {
+  const freed = {
+    appointmentDate: slot.appointmentDate,
+    appointmentTime: slot.appointmentTime
+  };
+  offerFreedSlot(freed).catch(error =>
+    console.error('❌ Waitlist offer failed:', error.message)
+  );
+};
+
+/**
+ * Close the entry's pending offer as declined or expired, release the
+ * hold and pass the slot on to the next client
+ */
+const closeOffer = async (entry, outcome) => {
+  const offer = getPendingOffer(entry);
+  if (!offer) return null;
+
+  const updated = await Waitlist.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', 'offers._id': offer._id, 'offers.outcome': 'pending' },
+    { status: 'waiting', $set: { 'offers.$.outcome': outcome } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await SlotReservation.deleteMany({ waitlistEntry: entry._id });
+  await offerFreedSlot(offer);
+
+  return updated;
+};
+
+/**
+ * Book the held slot for the client
+ */
+const acceptOffer = async (entry) => {
+  const offer = getPendingOffer(entry);
+  if (!offer || offer.expiresAt <= new Date()) {
+    throw new ErrorResponse('This offer is no longer available', 409);
+  }
+
+  const appointment = await bookAppointment({
+    clientName: entry.clientName,
+    email: entry.email,
+    phone: entry.phone,
+    serviceType: entry.serviceType,
+    appointmentDate: offer.appointmentDate,
+    appointmentTime: offer.appointmentTime,
+    message: entry.message
+  }, { holdFor: entry._id });
+
+  await Waitlist.updateOne(
+    { _id: entry._id, 'offers._id': offer._id },
+    { status: 'booked', appointment: appointment._id, $set: { 'offers.$.outcome': 'accepted' } }
+  );
+
+  return appointment;
+};
+
+/**
+ * Expire lapsed offers (passing their slots on) and entries whose date range is over
+ */
+const expireWaitlist = async (now = new Date()) => {
+  const lapsed = await Waitlist.find({
+    status: 'offered',
+    offers: { $elemMatch: { outcome: 'pending', expiresAt: { $lte: now } } }
+  });
+
+  let offersExpired = 0;
+  for (const entry of lapsed) {
+    if (await closeOffer(entry, 'expired')) offersExpired++;
+  }
+
+  const entriesExpired = await Waitlist.updateMany(
+    { status: 'waiting', endDate: { $lt: getDayRange(now).start } },
+    { status: 'expired' }
+  );
+
+  return {
+    offersExpired,
+    entriesExpired: entriesExpired.modifiedCount
+  };
+};
+
+module.exports = {
+  findEntryByOfferToken,
+  getPendingOffer,
+  offerFreedSlot,
+  notifyWaitlist,
+  closeOffer,
+  acceptOffer,
+  expireWaitlist
+};
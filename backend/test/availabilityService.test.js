@@ -0,0 +1,96 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SLOT_INTERVAL } = require('../src/config/sessions');
+const {
+  DEFAULT_MAX_APPOINTMENTS,
+  MAX_RANGE_DAYS,
+  generateSlots,
+  resolveSchedule,
+  getScheduleRange
+} = require('../src/utils/availabilityService');
+const { timeToMinutes } = require('../src/utils/helpers');
+
+describe('availabilityService', () => {
+  describe('generateSlots', () => {
+    it('offers every start at which the session fits in the window', () => {
+      assert.deepEqual(
+        generateSlots([{ start: '09:00', end: '12:00' }], 60),
+        ['09:00', '09:30', '10:00', '10:30', '11:00']
+      );
+    });
+
+    it('keeps starts on the reservation grid when a window opens off it', () => {
+      const slots = generateSlots([{ start: '09:15', end: '12:00' }], 60);
+
+      assert.deepEqual(slots, ['09:30', '10:00', '10:30', '11:00']);
+      slots.forEach(slot => assert.equal(timeToMinutes(slot) % SLOT_INTERVAL, 0));
+    });
+
+    it('merges windows in time order', () => {
+      assert.deepEqual(
+        generateSlots([{ start: '14:00', end: '15:00' }, { start: '09:00', end: '10:00' }], 50),
+        ['09:00', '14:00']
+      );
+    });
+  });
+
+  describe('resolveSchedule', () => {
+    // Mondays 10:00-13:00, at most 3 appointments a day
+    const template = {
+      _id: 'template',
+      name: 'Mornings',
+      isActive: true,
+      effectiveFrom: new Date('2026-01-01T00:00:00Z'),
+      weeklyHours: [{ dayOfWeek: 1, start: '10:00', end: '13:00' }],
+      maxAppointments: 3
+    };
+    const MONDAY = '2026-03-02';
+
+    it('takes hours and cap from the template', () => {
+      const schedule = resolveSchedule(MONDAY, null, [template]);
+
+      assert.equal(schedule.source, 'template');
+      assert.deepEqual(schedule.hours, [{ start: '10:00', end: '13:00' }]);
+      assert.equal(schedule.maxAppointments, 3);
+    });
+
+    it('keeps the template cap when an override only changes hours', () => {
+      const setting = { isAvailable: true, customHours: [{ start: '14:00', end: '16:00' }] };
+      const schedule = resolveSchedule(MONDAY, setting, [template]);
+
+      assert.equal(schedule.source, 'override');
+      assert.deepEqual(schedule.hours, [{ start: '14:00', end: '16:00' }]);
+      assert.equal(schedule.maxAppointments, 3);
+    });
+
+    it('uses the override cap when one is set', () => {
+      const setting = { isAvailable: true, customHours: [], maxAppointments: 1 };
+      const schedule = resolveSchedule(MONDAY, setting, [template]);
+
+      assert.deepEqual(schedule.hours, [{ start: '10:00', end: '13:00' }]);
+      assert.equal(schedule.maxAppointments, 1);
+    });
+
+    it('falls back to the default cap without a template', () => {
+      const schedule = resolveSchedule(MONDAY, { isAvailable: true, customHours: [] });
+      assert.equal(schedule.maxAppointments, DEFAULT_MAX_APPOINTMENTS);
+    });
+  });
+
+  describe('getScheduleRange', () => {
+    it('rejects a range longer than MAX_RANGE_DAYS', async () => {
+      await assert.rejects(
+        getScheduleRange('2026-01-01', '2026-12-31'),
+        { statusCode: 400, message: `Date range cannot exceed ${MAX_RANGE_DAYS} days` }
+      );
+    });
+
+    it('rejects an end date before the start date', async () => {
+      await assert.rejects(getScheduleRange('2026-03-10', '2026-03-01'), { statusCode: 400 });
+    });
+
+    it('rejects dates that do not parse', async () => {
+      await assert.rejects(getScheduleRange('soon', '2026-03-01'), { statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const Blog = require('../src/models/Blog');
+const { getBlogBySlug } = require('../src/controllers/blogController');
+
+const post = (overrides = {}) => ({
+  title: 'Coping With Anxiety',
+  excerpt: 'A short guide',
+  content: 'Some **calm** words.',
+  ...overrides
+});
+
+const published = (overrides = {}) => post({
+  status: 'published',
+  publishedAt: new Date(Date.now() - 60 * 1000),
+  ...overrides
+});
+
+// Just enough of Express's req/res to call a handler
+const callGetBySlug = async (slug) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    location(url) { this.headers.location = url; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await getBlogBySlug({ params: { slug }, baseUrl: '/api/blogs' }, res);
+  return res;
+};
+
+describe('blog slugs', () => {
+  before(db.connect);
+  after(db.disconnect);
+
+  beforeEach(db.clear);
+
+  it('adds -2, -3 to duplicate titles', async () => {
+    const first = await Blog.create(post());
+    const second = await Blog.create(post());
+    const third = await Blog.create(post());
+
+    assert.equal(first.slug, 'coping-with-anxiety');
+    assert.equal(second.slug, 'coping-with-anxiety-2');
+    assert.equal(third.slug, 'coping-with-anxiety-3');
+  });
+
+  it('tidies a custom slug', async () => {
+    const blog = await Blog.create(post({ slug: '  My Custom   Slug!! ', customSlug: true }));
+    assert.equal(blog.slug, 'my-custom-slug');
+  });
+
+  it('never uses a reserved route name', async () => {
+    const blog = await Blog.create(post({ title: 'Search' }));
+    assert.equal(blog.slug, 'search-2');
+  });
+
+  it('keeps the old slug when a post is renamed', async () => {
+    const blog = await Blog.create(post());
+
+    const loaded = await Blog.findById(blog._id);
+    loaded.title = 'Living With Anxiety';
+    await loaded.save();
+
+    assert.equal(loaded.slug, 'living-with-anxiety');
+    assert.deepEqual([...loaded.previousSlugs], ['coping-with-anxiety']);
+  });
+
+  it('treats another post\'s previous slugs as taken', async () => {
+    const renamed = await Blog.create(post());
+    const loaded = await Blog.findById(renamed._id);
+    loaded.title = 'Living With Anxiety';
+    await loaded.save();
+
+    const blog = await Blog.create(post());
+    assert.equal(blog.slug, 'coping-with-anxiety-2');
+  });
+
+  it('lets a post take back its own old slug', async () => {
+    const blog = await Blog.create(post());
+
+    const renamed = await Blog.findById(blog._id);
+    renamed.title = 'Living With Anxiety';
+    await renamed.save();
+
+    const restored = await Blog.findById(blog._id);
+    restored.title = 'Coping With Anxiety';
+    await restored.save();
+
+    assert.equal(restored.slug, 'coping-with-anxiety');
+    assert.deepEqual([...restored.previousSlugs], ['living-with-anxiety']);
+  });
+
+  describe('GET /api/blogs/:slug', () => {
+    it('redirects an old slug to the current one', async () => {
+      const blog = await Blog.create(published());
+      const loaded = await Blog.findById(blog._id);
+      loaded.title = 'Living With Anxiety';
+      await loaded.save();
+
+      const res = await callGetBySlug('coping-with-anxiety');
+
+      assert.equal(res.statusCode, 301);
+      assert.equal(res.headers.location, '/api/blogs/living-with-anxiety');
+      assert.deepEqual(res.body, {
+        success: false,
+        error: 'Blog post has moved',
+        slug: 'living-with-anxiety'
+      });
+    });
+
+    it('serves the current slug and counts the view', async () => {
+      await Blog.create(published());
+
+      const res = await callGetBySlug('Coping-With-Anxiety');
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(res.body.data.slug, 'coping-with-anxiety');
+      assert.equal(res.body.data.views, 1);
+    });
+
+    it('does not reveal drafts through their old slugs', async () => {
+      const blog = await Blog.create(post());
+      const loaded = await Blog.findById(blog._id);
+      loaded.title = 'Living With Anxiety';
+      await loaded.save();
+
+      const res = await callGetBySlug('coping-with-anxiety');
+      assert.equal(res.statusCode, 404);
+    });
+  });
+});
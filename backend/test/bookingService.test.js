@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { nextMonday, booking } = require('./helpers/booking');
+const Service = require('../src/models/Service');
+const Appointment = require('../src/models/Appointment');
+const SlotReservation = require('../src/models/SlotReservation');
+const { bookAppointment } = require('../src/utils/bookingService');
+const { getAvailableSlots } = require('../src/utils/availabilityService');
+
+// Fire the bookings at the same time and split the outcomes
+const bookConcurrently = async (bookings) => {
+  const results = await Promise.allSettled(bookings.map(data => bookAppointment(data)));
+  return {
+    booked: results.filter(result => result.status === 'fulfilled').map(result => result.value),
+    errors: results.filter(result => result.status === 'rejected').map(result => result.reason)
+  };
+};
+
+describe('bookAppointment', () => {
+  before(db.connect);
+  after(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await Service.seedDefaults();
+  });
+
+  it('lets only one of many concurrent bookings for the same slot succeed', async () => {
+    const { booked, errors } = await bookConcurrently(
+      Array.from({ length: 10 }, (_, i) => booking({ email: `client${i}@example.com` }))
+    );
+
+    assert.equal(booked.length, 1);
+    assert.equal(errors.length, 9);
+    errors.forEach(error => assert.equal(error.statusCode, 409));
+
+    assert.equal(await Appointment.countDocuments(), 1);
+    // Losing requests left no reservations behind
+    const stray = await SlotReservation.countDocuments({ appointment: { $ne: booked[0]._id } });
+    assert.equal(stray, 0);
+  });
+
+  it('lets only one of two concurrent overlapping sessions succeed', async () => {
+    // Individual therapy is 50 minutes plus a 10 minute buffer, so 10:00 covers 10:30
+    const { booked, errors } = await bookConcurrently([
+      booking({ appointmentTime: '10:00' }),
+      booking({ appointmentTime: '10:30', email: 'other@example.com' })
+    ]);
+
+    assert.equal(booked.length, 1);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].statusCode, 409);
+  });
+
+  it('books back-to-back sessions that do not overlap', async () => {
+    const { booked, errors } = await bookConcurrently([
+      booking({ appointmentTime: '10:00' }),
+      booking({ appointmentTime: '11:00', email: 'other@example.com' })
+    ]);
+
+    assert.equal(errors.length, 0);
+    assert.equal(booked.length, 2);
+  });
+
+  it('gives the slot back when the appointment is invalid', async () => {
+    await assert.rejects(
+      bookAppointment(booking({ email: 'not-an-email' })),
+      { statusCode: 400 }
+    );
+    assert.equal(await SlotReservation.countDocuments(), 0);
+
+    const appointment = await bookAppointment(booking());
+    assert.equal(appointment.status, 'pending');
+    assert.equal(appointment.amount, 3000);
+  });
+
+  it('refuses and stops offering slots that have already started', async () => {
+    const lastMonday = new Date(`${nextMonday()}T00:00:00Z`);
+    lastMonday.setUTCDate(lastMonday.getUTCDate() - 14);
+    const date = lastMonday.toISOString().slice(0, 10);
+
+    await assert.rejects(
+      bookAppointment(booking({ appointmentDate: date })),
+      { statusCode: 400, message: 'This time has already passed' }
+    );
+    assert.equal(await Appointment.countDocuments(), 0);
+
+    const service = await Service.findOne({ slug: 'individual' });
+    const { slots } = await getAvailableSlots(date, service);
+    assert.deepEqual(slots, []);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { nextMonday } = require('./helpers/booking');
+const AvailabilityTemplate = require('../src/models/AvailabilityTemplate');
+const CalendarSettings = require('../src/models/CalendarSettings');
+const { getDaySchedule } = require('../src/utils/availabilityService');
+const { updateCalendarSettings, bulkUpdateCalendarSettings } = require('../src/controllers/calendarController');
+
+const DATE = nextMonday();
+
+// Just enough of Express's req/res to call a handler
+const call = async (handler, body) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ body, user: { email: 'admin@example.com' }, get: () => undefined }, res);
+  return res;
+};
+
+describe('calendar overrides', () => {
+  before(db.connect);
+  after(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await AvailabilityTemplate.create({
+      name: 'Mornings',
+      weeklyHours: [{ dayOfWeek: 1, start: '09:00', end: '13:00' }],
+      effectiveFrom: new Date('2020-01-01'),
+      maxAppointments: 3
+    });
+  });
+
+  it('leaves the template cap alone when an override only changes hours', async () => {
+    const res = await call(updateCalendarSettings, {
+      date: DATE,
+      customHours: [{ start: '14:00', end: '17:00' }]
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.maxAppointments, undefined);
+
+    const schedule = await getDaySchedule(DATE);
+    assert.deepEqual(schedule.hours.map(({ start, end }) => ({ start, end })), [{ start: '14:00', end: '17:00' }]);
+    assert.equal(schedule.maxAppointments, 3);
+  });
+
+  it('applies an override cap and drops it again when later omitted', async () => {
+    await call(updateCalendarSettings, { date: DATE, maxAppointments: 1 });
+    assert.equal((await getDaySchedule(DATE)).maxAppointments, 1);
+
+    await call(updateCalendarSettings, { date: DATE, reason: 'Short day' });
+    assert.equal((await getDaySchedule(DATE)).maxAppointments, 3);
+  });
+
+  it('does the same for bulk updates', async () => {
+    const res = await call(bulkUpdateCalendarSettings, { updates: [{ date: DATE, reason: 'Clinic event' }] });
+
+    assert.equal(res.statusCode, 200);
+    const setting = await CalendarSettings.findOne({ date: new Date(DATE) }).lean();
+    assert.equal(setting.maxAppointments, undefined);
+    assert.equal((await getDaySchedule(DATE)).maxAppointments, 3);
+  });
+});
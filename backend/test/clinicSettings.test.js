@@ -0,0 +1,56 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Environment defaults are read when the model loads
+process.env.EASYPAISA_NUMBER = '03001111111';
+process.env.CLINIC_PHONE = '042-1234567';
+
+const db = require('./helpers/db');
+const ClinicSettings = require('../src/models/ClinicSettings');
+const { updateClinicSettings } = require('../src/controllers/templateController');
+const { getPaymentMethods } = require('../src/controllers/paymentController');
+
+// Just enough of Express's req/res to call a handler
+const call = async (handler, body = {}) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  await handler({ body, user: { email: 'owner@example.com' }, get: () => undefined }, res);
+  return res;
+};
+
+const methodIds = async () => (await call(getPaymentMethods)).body.data.methods.map(method => method.id);
+
+describe('clinic settings', () => {
+  before(db.connect);
+  after(db.disconnect);
+
+  beforeEach(db.clear);
+
+  it('falls back to the environment for fields never set', async () => {
+    const settings = await ClinicSettings.getSettings();
+
+    assert.equal(settings.easypaisaNumber, '03001111111');
+    assert.equal(settings.phone, '042-1234567');
+    assert.deepEqual(await methodIds(), ['easypaisa']);
+  });
+
+  it('keeps a field the admin cleared empty', async () => {
+    const res = await call(updateClinicSettings, { easypaisaNumber: '', phone: '' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.data.easypaisaNumber, '');
+    assert.equal(res.body.data.phone, '');
+    assert.deepEqual(await methodIds(), []);
+  });
+
+  it('resets a field to the default with null', async () => {
+    await call(updateClinicSettings, { easypaisaNumber: '' });
+    const res = await call(updateClinicSettings, { easypaisaNumber: null });
+
+    assert.equal(res.body.data.easypaisaNumber, '03001111111');
+    assert.deepEqual(await methodIds(), ['easypaisa']);
+  });
+});
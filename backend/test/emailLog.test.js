@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Retention is read when the model loads
+process.env.EMAIL_LOG_RETENTION_DAYS = '30';
+
+const EmailLog = require('../src/models/EmailLog');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('EmailLog', () => {
+  it('stores when each entry expires, from EMAIL_LOG_RETENTION_DAYS', () => {
+    const before = Date.now();
+    const log = new EmailLog({ to: 'client@example.com' });
+
+    assert.ok(log.expiresAt.getTime() >= before + 30 * DAY);
+    assert.ok(log.expiresAt.getTime() <= Date.now() + 30 * DAY);
+  });
+
+  it('expires entries at their expiresAt, not at a fixed age', () => {
+    const ttl = EmailLog.schema.indexes().filter(([, options]) => options.expireAfterSeconds !== undefined);
+
+    assert.equal(ttl.length, 1);
+    assert.deepEqual(ttl[0][0], { expiresAt: 1 });
+    assert.equal(ttl[0][1].expireAfterSeconds, 0);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { FRONTEND_URL } = require('../src/config/clinic');
+const { buildRss, buildAtom, buildSitemap } = require('../src/utils/feedService');
+
+const post = (overrides = {}) => ({
+  _id: '64b000000000000000000001',
+  title: 'Fear & <Anxiety>',
+  slug: 'fear-anxiety',
+  excerpt: 'Why "worry" isn\'t weakness',
+  contentHtml: '<p>Breathe &amp; rest</p>',
+  author: 'Dr. A & B',
+  tags: ['calm <mind>'],
+  category: 'anxiety',
+  publishedAt: new Date('2026-03-01T10:00:00Z'),
+  createdAt: new Date('2026-02-27T09:00:00Z'),
+  updatedAt: new Date('2026-03-02T12:00:00Z'),
+  ...overrides
+});
+
+const feed = (overrides = {}) => ({
+  category: undefined,
+  title: 'MindWell & Co',
+  description: 'Articles <weekly>',
+  link: `${FRONTEND_URL}/blog`,
+  updated: new Date('2026-03-02T12:00:00Z'),
+  posts: [post()],
+  ...overrides
+});
+
+// Text between tags must not contain a raw < or an unescaped &
+const assertWellEscaped = (xml) => {
+  const text = xml.replace(/<[^>]*>/g, '');
+  assert.ok(!text.includes('<'), 'raw < in text');
+  assert.ok(!/&(?!(amp|lt|gt|quot|apos);)/.test(text), 'unescaped & in text');
+};
+
+describe('feedService', () => {
+  describe('buildRss', () => {
+    const xml = buildRss(feed(), 'https://api.example.com/feed.xml?utm_source=x&y=1');
+
+    it('escapes titles, descriptions, authors, tags and content', () => {
+      assertWellEscaped(xml);
+      assert.match(xml, /<title>Fear &amp; &lt;Anxiety&gt;<\/title>/);
+      assert.match(xml, /<description>Why &quot;worry&quot; isn&apos;t weakness<\/description>/);
+      assert.match(xml, /<dc:creator>Dr\. A &amp; B<\/dc:creator>/);
+      assert.match(xml, /<category>calm &lt;mind&gt;<\/category>/);
+      assert.match(xml, /<content:encoded>&lt;p&gt;Breathe &amp;amp; rest&lt;\/p&gt;<\/content:encoded>/);
+      assert.match(xml, /href="https:\/\/api.example.com\/feed.xml\?utm_source=x&amp;y=1"/);
+    });
+
+    it('prefers the SEO title and description', () => {
+      const seo = buildRss(feed({ posts: [post({ seoTitle: 'SEO title', seoDescription: 'SEO text' })] }), 'x');
+      assert.match(seo, /<title>SEO title<\/title>/);
+      assert.match(seo, /<description>SEO text<\/description>/);
+    });
+
+    it('links to the website and uses the post id as guid', () => {
+      assert.ok(xml.includes(`<link>${FRONTEND_URL}/blog/fear-anxiety</link>`));
+      assert.match(xml, /<guid isPermaLink="false">tag:[^,]+,2026:blog\/64b000000000000000000001<\/guid>/);
+      assert.match(xml, /<pubDate>Sun, 01 Mar 2026 10:00:00 GMT<\/pubDate>/);
+    });
+
+    it('drops characters XML does not allow', () => {
+      const withControl = buildRss(feed({ posts: [post({ title: 'Bad\u0000\u0008title' })] }), 'x');
+      assert.match(withControl, /<title>Badtitle<\/title>/);
+    });
+  });
+
+  describe('buildAtom', () => {
+    it('escapes content and attributes', () => {
+      const xml = buildAtom(feed(), 'https://api.example.com/atom.xml');
+      assertWellEscaped(xml);
+      assert.match(xml, /<category term="calm &lt;mind&gt;"\/>/);
+      assert.match(xml, /<summary>Why &quot;worry&quot; isn&apos;t weakness<\/summary>/);
+      assert.match(xml, /<updated>2026-03-02T12:00:00.000Z<\/updated>/);
+    });
+
+    it('keeps the feed id the same whatever URL it was requested through', () => {
+      const id = (xml) => xml.match(/^ {2}<id>(.*)<\/id>$/m)[1];
+
+      const direct = buildAtom(feed(), 'https://api.example.com/atom.xml');
+      const tracked = buildAtom(feed(), 'https://other-host.example.com/atom.xml?utm_source=x');
+
+      assert.equal(id(direct), `${FRONTEND_URL}/atom.xml`);
+      assert.equal(id(tracked), id(direct));
+      assert.equal(id(buildAtom(feed({ category: 'self-care' }), 'x')), `${FRONTEND_URL}/atom/self-care.xml`);
+    });
+  });
+
+  describe('buildSitemap', () => {
+    it('escapes locations and includes lastmod only when known', () => {
+      const xml = buildSitemap([
+        { loc: `${FRONTEND_URL}/`, changefreq: 'monthly' },
+        { loc: `${FRONTEND_URL}/blog?category=a&b`, lastmod: new Date('2026-03-02T12:00:00Z') }
+      ]);
+
+      assertWellEscaped(xml);
+      assert.ok(xml.includes(`<loc>${FRONTEND_URL}/blog?category=a&amp;b</loc>`));
+      assert.match(xml, /<lastmod>2026-03-02T12:00:00.000Z<\/lastmod>/);
+      assert.equal((xml.match(/<lastmod>/g) || []).length, 1);
+      assert.match(xml, /<changefreq>monthly<\/changefreq>/);
+    });
+  });
+});
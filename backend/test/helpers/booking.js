@@ -0,0 +1,26 @@
+/**
+ * Booking fixtures shared by the tests that book appointments
+ */
+
+// A Monday at least a week ahead: a working day under the default schedule
+const nextMonday = () => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + 7 + ((8 - date.getUTCDay()) % 7));
+  return date.toISOString().slice(0, 10);
+};
+
+// Client-supplied booking data for an individual session on `nextMonday()` at 10:00
+const booking = (overrides = {}) => ({
+  clientName: 'Test Client',
+  email: 'client@example.com',
+  phone: '03001234567',
+  appointmentDate: nextMonday(),
+  appointmentTime: '10:00',
+  serviceType: 'individual',
+  ...overrides
+});
+
+module.exports = {
+  nextMonday,
+  booking
+};
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * In-memory MongoDB for tests that need a database. The mongod binary
+ * (version set in package.json "config") is downloaded on first use.
+ */
+let server = null;
+
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+};
+
+// Empty every collection; indexes are kept
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+  server = null;
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown } = require('../src/utils/markdown');
+
+const rejects = (markdown, pattern) => {
+  assert.throws(() => renderMarkdown(markdown), pattern);
+};
+
+describe('renderMarkdown', () => {
+  describe('rejects unsafe content', () => {
+    it('script and iframe tags', () => {
+      rejects('Hello <script>alert(1)</script>', /<script> tags/);
+      rejects('<iframe src="https://example.com"></iframe>', /<iframe> tags/);
+    });
+
+    it('event handler and style attributes', () => {
+      rejects('<img src="https://example.com/a.png" onerror="alert(1)">', /"onerror" attributes/);
+      rejects('<p style="position:fixed">x</p>', /"style" attributes/);
+    });
+
+    it('javascript: and data: links, however they are written', () => {
+      rejects('[click](javascript:alert(1))', /javascript: links/);
+      rejects('<a href="JaVaScRiPt:alert(1)">x</a>', /javascript: links/);
+      rejects('<a href="java\tscript:alert(1)">x</a>', /javascript: links/);
+      rejects('![x](data:image/png;base64,AAAA)', /data: links/);
+    });
+
+    it('lists every problem found', () => {
+      assert.throws(
+        () => renderMarkdown('<script>x</script><p onclick="x">y</p>'),
+        error => /<script> tags/.test(error.message) && /"onclick" attributes/.test(error.message)
+      );
+    });
+  });
+
+  it('removes unsafe HTML instead of throwing when not strict', () => {
+    const { html, removed } = renderMarkdown('ok <script>alert(1)</script>', { strict: false });
+    assert.ok(!html.includes('<script'));
+    assert.deepEqual(removed, ['<script> tags']);
+  });
+
+  it('renders ordinary Markdown', () => {
+    const { html, removed } = renderMarkdown('Some **bold**, _em_ and `code`.\n\n- one\n- two');
+    assert.match(html, /<strong>bold<\/strong>/);
+    assert.match(html, /<em>em<\/em>/);
+    assert.match(html, /<code>code<\/code>/);
+    assert.match(html, /<ul>\n<li>one<\/li>/);
+    assert.deepEqual(removed, []);
+  });
+
+  it('opens external links in a new tab without access to the opener', () => {
+    const { html } = renderMarkdown('[site](https://example.com) and [page](/blog/other)');
+    assert.match(html, /<a href="https:\/\/example.com" target="_blank" rel="noopener noreferrer">site<\/a>/);
+    assert.match(html, /<a href="\/blog\/other">page<\/a>/);
+  });
+
+  it('gives headings unique ids and lists levels 1-3 in the table of contents', () => {
+    const { html, toc } = renderMarkdown('# Intro\n\n## Coping\n\n## Coping\n\n#### Detail');
+    assert.match(html, /<h2 id="coping">Coping<\/h2>/);
+    assert.match(html, /<h2 id="coping-2">Coping<\/h2>/);
+    assert.match(html, /<h4 id="detail">Detail<\/h4>/);
+    assert.deepEqual(toc, [
+      { level: 1, text: 'Intro', id: 'intro' },
+      { level: 2, text: 'Coping', id: 'coping' },
+      { level: 2, text: 'Coping', id: 'coping-2' }
+    ]);
+  });
+
+  it('renders callouts', () => {
+    const { html } = renderMarkdown('> [!TIP]\n> Breathe slowly.');
+    assert.match(html, /<div class="callout callout-tip">/);
+    assert.match(html, /<p class="callout-title">Tip<\/p>/);
+    assert.match(html, /Breathe slowly\./);
+  });
+
+  it('renders task lists without form inputs', () => {
+    const { html } = renderMarkdown('- [x] done\n- [ ] todo');
+    assert.ok(!html.includes('<input'));
+    assert.match(html, /☑/);
+    assert.match(html, /☐/);
+  });
+
+  it('computes word count and read time (at least one minute)', () => {
+    assert.equal(renderMarkdown('just three words').readTime, 1);
+
+    const long = renderMarkdown('word '.repeat(450));
+    assert.equal(long.wordCount, 450);
+    assert.equal(long.readTime, 3);
+  });
+});
@@ -0,0 +1,63 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { render, compile, escapeHtml } = require('../src/utils/templateEngine');
+
+describe('templateEngine', () => {
+  it('fills in variables, including dotted paths', () => {
+    assert.equal(
+      render('Hi {{clientName}}, call {{clinic.phone}}', { clientName: 'Sara', clinic: { phone: '123' } }),
+      'Hi Sara, call 123'
+    );
+  });
+
+  it('renders missing values as empty', () => {
+    assert.equal(render('[{{missing}}][{{clinic.none}}]', {}), '[][]');
+  });
+
+  it('escapes every value in HTML mode', () => {
+    const html = render('<p>{{name}}</p>', { name: '<script>alert("x")</script> & \'y\'' }, { html: true });
+    assert.equal(html, '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;y&#39;</p>');
+  });
+
+  it('turns line breaks into <br> in HTML mode only', () => {
+    assert.equal(render('{{notes}}', { notes: 'a\nb' }, { html: true }), 'a<br>b');
+    assert.equal(render('{{notes}}', { notes: 'a\nb' }), 'a\nb');
+  });
+
+  it('leaves values as they are outside HTML mode', () => {
+    assert.equal(render('{{name}}', { name: '<b>&' }), '<b>&');
+  });
+
+  it('rejects triple-brace tags rather than rendering raw markup', () => {
+    assert.throws(() => render('{{{name}}}', { name: '<b>' }, { html: true }), /values are always escaped/);
+  });
+
+  it('shows {{#if}} sections when the value is present', () => {
+    const source = '{{#if notes}}Notes: {{notes}}{{else}}No notes{{/if}}';
+    assert.equal(render(source, { notes: 'bring ID' }), 'Notes: bring ID');
+    assert.equal(render(source, { notes: '' }), 'No notes');
+    assert.equal(render(source, {}), 'No notes');
+    assert.equal(render('{{#if list}}yes{{/if}}', { list: [] }), '');
+    assert.equal(render('{{#if count}}yes{{/if}}', { count: 0 }), 'yes');
+  });
+
+  it('nests sections', () => {
+    const source = '{{#if a}}A{{#if b}}B{{/if}}{{/if}}';
+    assert.equal(render(source, { a: true, b: true }), 'AB');
+    assert.equal(render(source, { a: true }), 'A');
+    assert.equal(render(source, { b: true }), '');
+  });
+
+  it('rejects unbalanced sections and invalid tags', () => {
+    assert.throws(() => compile('{{#if a}}open'), /Unclosed/);
+    assert.throws(() => compile('{{/if}}'), /without a matching/);
+    assert.throws(() => compile('{{else}}'), /without a matching/);
+    assert.throws(() => compile('{{#if a}}{{else}}{{else}}{{/if}}'), /without a matching/);
+    assert.throws(() => compile('{{constructor.constructor("x")}}'), /Invalid tag/);
+    assert.throws(() => compile('{{a b}}'), /Invalid tag/);
+  });
+
+  it('escapes HTML special characters', () => {
+    assert.equal(escapeHtml('<a href="x">\'&\''), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;');
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../src/utils/totp');
+
+// RFC 6238 appendix B test secret ("12345678901234567890"), SHA-1
+const SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const stepAt = (seconds) => Math.floor(seconds / 30);
+
+describe('totp', () => {
+  it('encodes and decodes base32', () => {
+    assert.equal(SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(totp.base32Decode(SECRET.toLowerCase()).toString(), '12345678901234567890');
+    assert.throws(() => totp.base32Decode('not base32!'), /Invalid base32 secret/);
+  });
+
+  it('generates the RFC 6238 codes (last six digits)', () => {
+    assert.equal(totp.generateCode(SECRET, stepAt(59)), '287082');
+    assert.equal(totp.generateCode(SECRET, stepAt(1111111109)), '081804');
+    assert.equal(totp.generateCode(SECRET, stepAt(1234567890)), '005924');
+    assert.equal(totp.generateCode(SECRET, stepAt(20000000000)), '353130');
+  });
+
+  it('accepts a code within one step of clock drift and returns its step', () => {
+    const time = 1234567890 * 1000;
+    const step = stepAt(1234567890);
+
+    assert.equal(totp.verifyCode(SECRET, '005924', { time }), step);
+    assert.equal(totp.verifyCode(SECRET, totp.generateCode(SECRET, step - 1), { time }), step - 1);
+    assert.equal(totp.verifyCode(SECRET, totp.generateCode(SECRET, step + 1), { time }), step + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    const time = 1234567890 * 1000;
+    const step = stepAt(1234567890);
+
+    assert.equal(totp.verifyCode(SECRET, totp.generateCode(SECRET, step - 2), { time }), null);
+    assert.equal(totp.verifyCode(SECRET, totp.generateCode(SECRET, step + 2), { time }), null);
+  });
+
+  it('rejects malformed codes without comparing', () => {
+    const time = 1234567890 * 1000;
+
+    ['', '12345', '1234567', 'abcdef', null, undefined].forEach(code => {
+      assert.equal(totp.verifyCode(SECRET, code, { time }), null);
+    });
+    // Spaces are allowed, as authenticator apps show "005 924"
+    assert.notEqual(totp.verifyCode(SECRET, '005 924', { time }), null);
+  });
+
+  it('generates distinct 32-character secrets', () => {
+    const first = totp.generateSecret();
+    assert.match(first, /^[A-Z2-7]{32}$/);
+    assert.notEqual(first, totp.generateSecret());
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = totp.getProvisioningUri(SECRET, 'owner@example.com');
+    assert.ok(uri.startsWith('otpauth://totp/MindWell%20Psychology%3Aowner%40example.com?'));
+    const params = new URL(uri).searchParams;
+    assert.equal(params.get('secret'), SECRET);
+    assert.equal(params.get('digits'), '6');
+    assert.equal(params.get('period'), '30');
+  });
+});
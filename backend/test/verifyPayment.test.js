@@ -0,0 +1,85 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/db');
+const { booking } = require('./helpers/booking');
+const Service = require('../src/models/Service');
+const Payment = require('../src/models/Payment');
+const Appointment = require('../src/models/Appointment');
+const SlotReservation = require('../src/models/SlotReservation');
+const { bookAppointment, releaseSlot } = require('../src/utils/bookingService');
+const { verifyPayment } = require('../src/controllers/paymentController');
+
+// Book an appointment with a pending payment, then cancel it the way the
+// client's manage link does
+const cancelledWithPayment = async () => {
+  const appointment = await bookAppointment(booking());
+  const payment = await Payment.create({
+    appointmentId: appointment._id,
+    clientName: appointment.clientName,
+    clientEmail: appointment.email,
+    clientPhone: appointment.phone,
+    amount: appointment.amount,
+    paymentMethod: 'easypaisa',
+    transactionId: 'TX-1',
+    transactionDate: new Date(),
+    receiptImage: 'https://example.com/receipt.jpg'
+  });
+
+  appointment.status = 'cancelled';
+  await appointment.save();
+  await releaseSlot(appointment);
+
+  return { appointment, payment };
+};
+
+// Just enough of Express's req/res to call a handler
+const callVerify = async (paymentId) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const req = {
+    params: { id: paymentId },
+    body: { notes: 'Checked' },
+    user: { email: 'admin@example.com' },
+    get: () => undefined
+  };
+  await verifyPayment(req, res);
+  return res;
+};
+
+describe('verifyPayment', () => {
+  before(db.connect);
+  after(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    await Service.seedDefaults();
+  });
+
+  it('refuses to confirm a cancelled appointment whose slot was taken', async () => {
+    const { appointment, payment } = await cancelledWithPayment();
+    const other = await bookAppointment(booking({ email: 'other@example.com' }));
+
+    const res = await callVerify(payment._id);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal((await Payment.findById(payment._id)).status, 'pending');
+    assert.equal((await Appointment.findById(appointment._id)).status, 'cancelled');
+    // The slot still belongs to the other booking only
+    const holders = await SlotReservation.distinct('appointment');
+    assert.deepEqual(holders.map(String), [String(other._id)]);
+  });
+
+  it('confirms a cancelled appointment once it wins its slot back', async () => {
+    const { appointment, payment } = await cancelledWithPayment();
+
+    const res = await callVerify(payment._id);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal((await Appointment.findById(appointment._id)).status, 'confirmed');
+    assert.ok(await SlotReservation.exists({ appointment: appointment._id }));
+    await assert.rejects(bookAppointment(booking({ email: 'other@example.com' })), { statusCode: 409 });
+  });
+});